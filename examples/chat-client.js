@@ -3,9 +3,14 @@ import { KickChatClient } from 'kapi-kit';
 // Supply a chat:write token. Messages default to the authenticated channel when `type` is `bot`.
 const chat = new KickChatClient({ accessToken: 'YOUR_ACCESS_TOKEN' });
 
-const message = await chat.sendMessage({
+const message = await chat.sendChatMessage({
   content: 'Hello from KickChatClient!',
   type: 'bot',
 });
 
 console.log(message);
+
+// Sessions remember the broadcaster and fill `{channel}` / `{user}` placeholders.
+const session = chat.createChatSession({ broadcasterUserId: 123456, channel: 'my-channel' });
+await session.say('Welcome to {channel}!');
+await session.sayAs('user', 'Posting as the channel owner this time.');
@@ -1,13 +1,16 @@
 import http from 'node:http';
-import crypto from 'node:crypto';
-import fs from 'node:fs/promises';
 import path from 'node:path';
 import process from 'node:process';
 import { fileURLToPath } from 'node:url';
 import {
-  KickApiClient,
   KickAuthClient,
   KickApiError,
+  KickBotHost,
+  CommandRouter,
+  DEFAULT_TOKEN_SECRET_ENV,
+  EncryptedFileTokenStore,
+  FileTokenStore,
+  KickAuthorizationError,
 } from 'kapi-kit';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -23,7 +26,7 @@ const config = {
   listenPort: Number(process.env.KICK_PORT ?? 3000),
   storePath: process.env.KICK_STORE_PATH ?? path.join(__dirname, 'multi-streamers.json'),
   eventSecret: process.env.KICK_APP_SECRET ?? 'set-a-secret-to-secure-event-intake',
-  addStreamerEndpoint: process.env.KICK_ADD_ENDPOINT ?? '/kick/streamers/add',
+  connectEndpoint: process.env.KICK_CONNECT_ENDPOINT ?? '/kick/streamers/connect',
   keepAliveIntervalMs: Number(process.env.KICK_KEEPALIVE_MS ?? 5 * 60 * 1000),
   keepAliveUserMessage:
     process.env.KICK_KEEPALIVE_USER ?? 'Remember to stretch and grab some water! 💧',
@@ -40,239 +43,85 @@ const authClient = new KickAuthClient({
   clientSecret: config.clientSecret,
 });
 
-let kickPublicKeyPem = null;
-
-const state = {
-  streamers: new Map(), // broadcasterUserId -> streamer object
-  subscriptions: new Map(), // subscriptionId -> streamer object
-};
-
-async function loadStore() {
-  try {
-    const raw = await fs.readFile(config.storePath, 'utf8');
-    const data = JSON.parse(raw);
-    if (!Array.isArray(data.streamers)) {
-      return { streamers: [] };
-    }
-    return data;
-  } catch (error) {
-    if (error.code !== 'ENOENT') {
-      console.warn('Failed to read store file:', error);
-    }
-    return { streamers: [] };
-  }
-}
-
-async function saveStore(store) {
-  await fs.mkdir(path.dirname(config.storePath), { recursive: true });
-  await fs.writeFile(config.storePath, JSON.stringify(store, null, 2), 'utf8');
-  console.log(`Updated streamer store at ${config.storePath}`);
-}
-
-async function persistState() {
-  const payload = {
-    streamers: Array.from(state.streamers.values()).map((streamer) => ({
-      broadcasterUserId: streamer.broadcasterUserId,
-      slug: streamer.slug,
-      refreshToken: streamer.refreshToken,
-      subscriptionId: streamer.subscriptionId,
-    })),
-  };
-  await saveStore(payload);
-}
-
-async function upsertStreamer(streamer) {
-  state.streamers.set(streamer.broadcasterUserId, streamer);
-  await persistState();
-}
-
-async function refreshStreamerTokens(streamer) {
-  const response = await authClient.refreshAccessToken({ refreshToken: streamer.refreshToken });
-  streamer.accessToken = response.access_token;
-  streamer.refreshToken = response.refresh_token ?? streamer.refreshToken;
-  streamer.expiresIn = response.expires_in ?? 3600;
-  streamer.updatedAt = new Date().toISOString();
-}
-
-async function ensureSubscription(streamer) {
-  const client = streamer.client;
-  const existing = await client.listEventSubscriptions({ broadcasterUserId: streamer.broadcasterUserId });
-
-  const match = Array.isArray(existing)
-    ? existing.find((entry) => entry?.event === 'chat.message.sent' && entry?.version === 1)
-    : null;
-
-  if (match) {
-    streamer.subscriptionId = match.id;
-    state.subscriptions.set(match.id, streamer);
-    return;
-  }
-
-  const created = await client.createEventSubscriptions({
-    method: 'webhook',
-    broadcasterUserId: streamer.broadcasterUserId,
-    events: [{ name: 'chat.message.sent', version: 1 }],
-  });
-
-  const subscription = Array.isArray(created) ? created[0] : null;
-  if (!subscription?.subscription_id) {
-    throw new Error(
-      `Failed to create chat.message.sent subscription for broadcaster ${streamer.broadcasterUserId}.`,
-    );
-  }
-
-  streamer.subscriptionId = subscription.subscription_id;
-  state.subscriptions.set(streamer.subscriptionId, streamer);
-}
-
-async function loadKickPublicKey() {
-  if (kickPublicKeyPem) return;
-  const client = new KickApiClient();
-  const response = await client.getPublicKey({});
-  if (!response?.public_key) {
-    throw new Error('Unable to fetch Kick public key for webhook verification.');
-  }
-  kickPublicKeyPem = response.public_key;
-  console.log('Loaded Kick public key.');
-}
-
-function verifyWebhook(headers, rawBody) {
-  if (!kickPublicKeyPem) return false;
-
-  const messageId = headers['kick-event-message-id'];
-  const timestamp = headers['kick-event-message-timestamp'];
-  const signature = headers['kick-event-signature'];
-  const providedSecret = headers['kick-app-secret'];
-
-  if (!messageId || !timestamp || !signature) {
-    return false;
-  }
-
-  if (typeof config.eventSecret === 'string' && config.eventSecret) {
-    if (!providedSecret || providedSecret !== config.eventSecret) {
-      console.warn('Webhook secret mismatch.');
-      return false;
-    }
-  }
-
-  const verifier = crypto.createVerify('RSA-SHA256');
-  verifier.update(`${messageId}.${timestamp}.${rawBody}`);
-  verifier.end();
-
-  try {
-    return verifier.verify(kickPublicKeyPem, Buffer.from(signature, 'base64'));
-  } catch (error) {
-    console.error('Webhook signature verification failed:', error);
-    return false;
-  }
-}
-
-async function initStreamers() {
-  const store = await loadStore();
-  if (store.streamers.length === 0) {
-    console.log('No streamers registered yet. Awaiting incoming add requests at', config.addStreamerEndpoint);
-    return;
-  }
-
-  for (const entry of store.streamers) {
-    if (!entry.refreshToken) {
-      console.warn(`Streamer ${entry.broadcasterUserId} missing refresh token. Skipping.`);
-      continue;
-    }
+// One record per broadcaster id. Set KICK_TOKEN_STORE_SECRET to encrypt refresh tokens at rest;
+// swap in RedisTokenStore to share the store between several bot instances.
+const tokenStore = process.env[DEFAULT_TOKEN_SECRET_ENV]
+  ? new EncryptedFileTokenStore({ path: config.storePath })
+  : new FileTokenStore({ path: config.storePath });
+
+// The host owns a refreshing client, chat queue and event subscriptions per broadcaster.
+const host = new KickBotHost({
+  authClient,
+  store: tokenStore,
+  events: [{ name: 'chat.message.sent', version: 1 }],
+  receiver: { appSecret: config.eventSecret },
+  redirectUri: config.redirectUri,
+  scopes: config.scopes,
+});
 
-    try {
-      await refreshStreamerTokens(entry);
-      entry.client = new KickApiClient({ accessToken: entry.accessToken });
-      entry.refreshTimer = scheduleStreamerRefresh(entry);
-      await ensureSubscription(entry);
-      state.streamers.set(entry.broadcasterUserId, entry);
-      if (entry.subscriptionId) {
-        state.subscriptions.set(entry.subscriptionId, entry);
+host
+  .on('streamerAdded', (streamer) => console.log(
+    `Streamer ready: ${streamer.slug ?? streamer.broadcasterUserId} (subscriptions ${JSON.stringify(streamer.subscriptions)}).`,
+  ))
+  .on('streamerRemoved', (streamer) => console.log(`Streamer ${streamer.broadcasterUserId} removed.`))
+  .on('needsReauth', (streamer, error) => notifyReauthRequired(streamer, error))
+  .on('error', (error, streamer) => reportError(`serving broadcaster ${streamer?.broadcasterUserId ?? '(startup)'}`, error));
+
+// Replies share the per-channel chat queue with keep-alive messages, so they never race each other.
+const commands = new CommandRouter({
+  client: (message) => host.getStreamer(message.broadcaster.userId).client,
+  sender: (message) => host.getStreamer(message.broadcaster.userId).chat,
+  onError: (error, ctx) => reportError(`running !${ctx.command.name}`, error),
+})
+  .register({
+    name: 'ping',
+    description: 'Check that the bot is alive',
+    cooldownMs: 10_000,
+    handler: (ctx) => ctx.reply('!pong'),
+  })
+  .register({
+    name: 'title',
+    aliases: ['settitle'],
+    description: 'Update the stream title',
+    permission: 'moderator',
+    args: [{ name: 'title', type: 'rest' }],
+    handler: async (ctx) => {
+      const broadcasterUserId = ctx.message.broadcaster.userId;
+      try {
+        await ctx.client.updateChannelMetadata({ streamTitle: ctx.args.title });
+        await ctx.reply(`Updated title to: ${ctx.args.title}`);
+        console.log(`Updated title for broadcaster ${broadcasterUserId}.`);
+      } catch (error) {
+        reportError(`updating title for ${broadcasterUserId}`, error);
+        await ctx.reply('Failed to update title. Check logs.');
       }
+    },
+  });
 
-      scheduleKeepAlive(entry);
-      console.log(
-        `Streamer ready: ${entry.slug ?? entry.broadcasterUserId} (subscription ${entry.subscriptionId}).`,
-      );
-    } catch (error) {
-      console.error(`Failed to initialize streamer ${entry.broadcasterUserId}:`, error);
-    }
-  }
-
-  await persistState();
-}
-
-function scheduleStreamerRefresh(streamer) {
-  const refreshInMs = Math.max((streamer.expiresIn - 120) * 1000, 30_000);
-  return setTimeout(async () => {
-    try {
-      await refreshStreamerTokens(streamer);
-      streamer.client = new KickApiClient({ accessToken: streamer.accessToken });
-      streamer.refreshTimer = scheduleStreamerRefresh(streamer);
-      await persistState();
-      console.log(`Refreshed token for broadcaster ${streamer.broadcasterUserId}.`);
-    } catch (error) {
-      console.error('Automatic refresh failed for streamer', streamer.broadcasterUserId, error);
-    }
-  }, refreshInMs);
-}
-
-function scheduleKeepAlive(streamer) {
-  streamer.keepAliveTimer = setInterval(async () => {
-    try {
-      await streamer.client.sendChatMessage({
-        type: 'user',
-        content: config.keepAliveUserMessage,
-        broadcasterUserId: streamer.broadcasterUserId,
-      });
-
-      await streamer.client.sendChatMessage({
-        type: 'bot',
-        content: config.keepAliveBotMessage,
-      });
-
-      console.log(`Keep-alive messages posted for broadcaster ${streamer.broadcasterUserId}.`);
-    } catch (error) {
-      reportError(`keep-alive for ${streamer.broadcasterUserId}`, error);
-    }
-  }, config.keepAliveIntervalMs);
-}
-
-async function handleChatMessage(streamer, payload) {
-  const content = payload?.content?.trim();
-  if (!content) return;
-
-  const lower = content.toLowerCase();
-  const messageId = payload?.message_id;
-
-  if (lower === '!ping') {
-    await sendReply(streamer, '!pong', messageId);
-    return;
-  }
+// Handlers are written once; a third argument carries the streamer the event belongs to.
+host.router.on('chat.message.sent', (message, event) => commands.handle(message, event));
 
-  if (lower.startsWith('!title ')) {
-    const newTitle = content.slice('!title '.length).trim();
-    if (!newTitle) return;
-    try {
-      await streamer.client.updateChannelMetadata({ streamTitle: newTitle });
-      await sendReply(streamer, `Updated title to: ${newTitle}`, messageId);
-      console.log(`Updated title for broadcaster ${streamer.broadcasterUserId}.`);
-    } catch (error) {
-      reportError(`updating title for ${streamer.broadcasterUserId}`, error);
-      await sendReply(streamer, 'Failed to update title. Check logs.', messageId);
-    }
-  }
-}
+host.every(config.keepAliveIntervalMs, async (streamer) => {
+  await Promise.all([
+    streamer.session.sayAs('user', config.keepAliveUserMessage),
+    streamer.session.sayAs('bot', config.keepAliveBotMessage),
+  ]);
+  console.log(`Keep-alive messages posted for broadcaster ${streamer.broadcasterUserId}.`);
+});
 
-async function sendReply(streamer, message, replyToMessageId) {
+// The broadcaster revoked the bot or its refresh token expired: the host paused the tenant,
+// so send them a fresh consent link. Replace the log line with an email or DM in production.
+async function notifyReauthRequired(streamer, error) {
   try {
-    await streamer.client.sendChatMessage({
-      type: 'bot',
-      content: message,
-      replyToMessageId,
+    const { url } = await host.startOnboarding({
+      metadata: { broadcasterUserId: streamer.broadcasterUserId },
     });
-  } catch (error) {
-    reportError(`sending reply for ${streamer.broadcasterUserId}`, error);
+    console.warn(
+      `Broadcaster ${streamer.slug ?? streamer.broadcasterUserId} must authorize the bot again (${error.cause?.message ?? error.message}).`,
+      `Re-authorization link: ${url}`,
+    );
+  } catch (linkError) {
+    reportError(`creating a re-authorization link for ${streamer.broadcasterUserId}`, linkError);
   }
 }
 
@@ -288,23 +137,26 @@ function reportError(context, error) {
   }
 }
 
-function readBody(req) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    req.on('data', (chunk) => chunks.push(chunk));
-    req.on('end', () => resolve(Buffer.concat(chunks)));
-    req.on('error', reject);
+function startWebhookServer() {
+  const callbackPath = new URL(config.redirectUri).pathname;
+  const handleEventWebhook = host.createRequestHandler({
+    onError: (error) => console.error('Webhook handler error:', error),
   });
-}
 
-function startWebhookServer() {
   const server = http.createServer(async (req, res) => {
-    if (req.method === 'POST' && req.url === config.addStreamerEndpoint) {
-      await handleAddStreamer(req, res);
+    const url = new URL(req.url ?? '/', `http://localhost:${config.listenPort}`);
+
+    if (req.method === 'GET' && url.pathname === config.connectEndpoint) {
+      await handleConnectStreamer(req, res);
       return;
     }
 
-    if (req.method === 'POST' && req.url === config.webhookPath) {
+    if (req.method === 'GET' && url.pathname === callbackPath) {
+      await handleOAuthCallback(url, res);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === config.webhookPath) {
       await handleEventWebhook(req, res);
       return;
     }
@@ -314,98 +166,45 @@ function startWebhookServer() {
 
   server.listen(config.listenPort, () => {
     console.log(`Webhook server listening on http://localhost:${config.listenPort}${config.webhookPath}`);
+    console.log(`Broadcasters add the bot by visiting http://localhost:${config.listenPort}${config.connectEndpoint}`);
     console.log('Expose this endpoint via a public URL (e.g., Ngrok, Cloudflare Tunnel) and update each streamer\'s webhook URL in the Kick developer portal.');
   });
 }
 
-async function handleAddStreamer(req, res) {
+async function handleConnectStreamer(_req, res) {
   try {
-    const rawBody = await readBody(req);
-    const body = JSON.parse(rawBody.toString('utf8'));
-
-    const secret = req.headers['kick-app-secret'];
-    if (config.eventSecret && secret !== config.eventSecret) {
-      res.writeHead(401).end('invalid secret');
-      return;
-    }
-
-    const { code, code_verifier: codeVerifier, redirect_uri: redirectUri } = body ?? {};
-    if (!code || !codeVerifier) {
-      res.writeHead(400).end('code and code_verifier required');
-      return;
-    }
-
-    const tokenResponse = await authClient.exchangeCodeForToken({
-      code,
-      redirectUri: redirectUri ?? config.redirectUri,
-      codeVerifier,
-    });
-
-    const accessToken = tokenResponse.access_token;
-    const refreshToken = tokenResponse.refresh_token;
-    if (!accessToken || !refreshToken) {
-      res.writeHead(500).end('token exchange failed');
-      return;
-    }
-
-    const tempClient = new KickApiClient({ accessToken });
-    const channels = await tempClient.getChannels({});
-    const channel = Array.isArray(channels) && channels[0] ? channels[0] : null;
-    if (!channel?.broadcaster_user_id) {
-      res.writeHead(500).end('unable to determine broadcaster');
-      return;
-    }
-
-    const streamer = {
-      broadcasterUserId: channel.broadcaster_user_id,
-      slug: channel.slug,
-      refreshToken,
-      subscriptionId: null,
-    };
-
-    await upsertStreamer(streamer);
-    await initializeStreamer(streamer);
-
-    res.writeHead(200, { 'Content-Type': 'application/json' }).end(
-      JSON.stringify({ ok: true, broadcasterUserId: streamer.broadcasterUserId, slug: streamer.slug }),
-    );
+    const { url } = await host.startOnboarding();
+    res.writeHead(302, { Location: url, 'Cache-Control': 'no-store' }).end();
   } catch (error) {
-    console.error('Failed to add streamer:', error);
+    console.error('Failed to start authorization:', error);
     res.writeHead(500).end('error');
   }
 }
 
-async function handleEventWebhook(req, res) {
+async function handleOAuthCallback(url, res) {
   try {
-    const rawBody = await readBody(req);
-    if (!verifyWebhook(req.headers, rawBody)) {
-      res.writeHead(401).end('invalid signature');
+    const streamer = await host.completeOnboarding(url);
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' }).end(
+      `The bot is now active in ${streamer.slug ?? streamer.broadcasterUserId}'s chat. You can close this tab.`,
+    );
+  } catch (error) {
+    if (error instanceof KickAuthorizationError) {
+      res.writeHead(400).end(`authorization failed: ${error.reason}`);
       return;
     }
-
-    const payload = JSON.parse(rawBody.toString('utf8'));
-    const eventType = req.headers['kick-event-type'];
-    const subscriptionId = req.headers['kick-event-subscription-id'];
-
-    if (eventType === 'chat.message.sent') {
-      const streamer = state.subscriptions.get(subscriptionId);
-      if (!streamer) {
-        console.warn(`No streamer mapped for subscription ${subscriptionId}`);
-      } else {
-        await handleChatMessage(streamer, payload);
-      }
-    }
-
-    res.writeHead(200).end('ok');
-  } catch (error) {
-    console.error('Webhook handler error:', error);
+    console.error('Failed to add streamer:', error);
     res.writeHead(500).end('error');
   }
 }
 
 async function main() {
-  await loadKickPublicKey();
-  await initStreamers();
+  await host.receiver.getPublicKey();
+  console.log('Loaded Kick public key.');
+
+  const started = await host.start();
+  if (started.length === 0) {
+    console.log('No streamers connected yet. Send broadcasters to', config.connectEndpoint);
+  }
   startWebhookServer();
 }
 
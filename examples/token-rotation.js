@@ -1,15 +1,16 @@
-import fs from 'node:fs/promises';
 import path from 'node:path';
 import process from 'node:process';
 import { fileURLToPath } from 'node:url';
 import { setTimeout as sleep } from 'node:timers/promises';
-import crypto from 'node:crypto';
 import {
   KickAuthClient,
   KickApiClient,
+  DEFAULT_TOKEN_SECRET_ENV,
+  EncryptedFileTokenStore,
+  FileTokenStore,
   KickApiError,
-  createAuthorizationUrl,
-  createPkcePair,
+  KickTokenManager,
+  authorizeWithLocalServer,
 } from 'kapi-kit';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -20,7 +21,9 @@ const config = {
   redirectUri: process.env.KICK_REDIRECT_URI ?? 'http://localhost:3000/oauth/callback',
   scopes: (process.env.KICK_SCOPES ?? 'chat:write').split(/\s+/).filter(Boolean),
   tokenStore: process.env.KICK_TOKEN_STORE ?? path.join(__dirname, 'rotation-tokens.json'),
+  tokenKey: process.env.KICK_TOKEN_KEY ?? 'default',
   refreshGraceSeconds: Number(process.env.KICK_REFRESH_GRACE ?? 60),
+  sampleIntervalMs: Number(process.env.KICK_SAMPLE_INTERVAL_MS ?? 10 * 60 * 1000),
 };
 
 if (!config.clientId || !config.clientSecret || config.clientId.startsWith('YOUR_')) {
@@ -32,116 +35,61 @@ const authClient = new KickAuthClient({
   clientSecret: config.clientSecret,
 });
 
-let tokens = null;
-
-async function loadTokens() {
-  try {
-    const raw = await fs.readFile(config.tokenStore, 'utf8');
-    tokens = JSON.parse(raw);
-    console.log('Loaded tokens from disk.');
-  } catch (error) {
-    if (error.code !== 'ENOENT') {
-      console.warn('Failed to load tokens:', error);
-    }
-  }
-}
+// Set KICK_TOKEN_STORE_SECRET to keep the refresh token encrypted at rest.
+const tokenStore = process.env[DEFAULT_TOKEN_SECRET_ENV]
+  ? new EncryptedFileTokenStore({ path: config.tokenStore })
+  : new FileTokenStore({ path: config.tokenStore });
+
+// The manager refreshes ahead of expiry, shares one refresh between concurrent callers and
+// writes every rotated refresh token to the store before the new access token is used.
+const tokenManager = await KickTokenManager.fromStore({
+  authClient,
+  store: tokenStore,
+  storeKey: config.tokenKey,
+  refreshMarginMs: config.refreshGraceSeconds * 1000,
+  onRefresh: () => console.log('Persisted rotated tokens to', config.tokenStore),
+  onError: (error) => console.error('Background refresh failed, retrying shortly:', error),
+});
 
-async function saveTokens(payload) {
-  tokens = payload;
-  await fs.writeFile(config.tokenStore, JSON.stringify(tokens, null, 2), 'utf8');
-  console.log('Persisted tokens to', config.tokenStore);
-}
+const client = new KickApiClient({ tokenManager });
 
 function tokensAvailable() {
-  return tokens && tokens.access_token && tokens.refresh_token;
+  return Boolean(tokenManager.refreshToken);
 }
 
 async function interactiveAuthorization() {
-  const { verifier, challenge } = createPkcePair();
-  const state = crypto.randomUUID();
-  const url = createAuthorizationUrl({
-    clientId: config.clientId,
+  console.log('\nNo tokens found. Complete the OAuth flow in your browser.');
+  const response = await authorizeWithLocalServer({
+    authClient,
     redirectUri: config.redirectUri,
     scopes: config.scopes,
-    state,
-    codeChallenge: challenge,
-  });
-
-  console.log('\nNo tokens found. Complete the OAuth flow:');
-  console.log(`  1. Open: ${url}`);
-  console.log('  2. Authorize the app.');
-  console.log('  3. Paste the ?code= value here.');
-
-  process.stdout.write('\nAuthorization code: ');
-  const code = await readLine();
-
-  console.log('Exchanging authorization code for tokens...');
-  const response = await authClient.exchangeCodeForToken({
-    code,
-    redirectUri: config.redirectUri,
-    codeVerifier: verifier,
+    onAuthorizationUrl: (url) => {
+      console.log(`  Open: ${url}`);
+      console.log(`  Waiting for the redirect to ${config.redirectUri} ...`);
+    },
   });
 
   if (!response.access_token || !response.refresh_token) {
     throw new Error('Token exchange failed to return both access_token and refresh_token.');
   }
 
-  await saveTokens({ ...response, obtained_at: new Date().toISOString() });
-}
-
-async function readLine() {
-  return new Promise((resolve) => {
-    const chunks = [];
-    function onData(chunk) {
-      const str = chunk.toString();
-      if (str.includes('\n')) {
-        process.stdin.off('data', onData);
-        chunks.push(str.replace(/\r?\n/, ''));
-        resolve(chunks.join(''));
-      } else {
-        chunks.push(str);
-      }
-    }
-    process.stdin.on('data', onData);
-  });
+  tokenManager.setTokens(response);
+  await tokenManager.persist();
 }
 
-async function refreshLoop() {
+async function sampleLoop() {
   while (true) {
-    try {
-      await refreshTokens();
-      await runSampleAction();
-      const waitMs = Math.max((tokens.expires_in - config.refreshGraceSeconds) * 1000, 30_000);
-      console.log(`Waiting ${(waitMs / 1000 / 60).toFixed(2)} minutes before next refresh.`);
-      await sleep(waitMs);
-    } catch (error) {
-      console.error('Refresh loop failed:', error);
-      await sleep(30_000);
+    await runSampleAction();
+    const expiresAt = tokenManager.expiresAt;
+    if (expiresAt) {
+      console.log(`Access token expires at ${new Date(expiresAt).toISOString()}.`);
     }
+    await sleep(config.sampleIntervalMs);
   }
 }
 
-async function refreshTokens() {
-  console.log('Refreshing tokens...');
-  const response = await authClient.refreshAccessToken({ refreshToken: tokens.refresh_token });
-  if (!response.access_token) {
-    throw new Error('refreshAccessToken did not return access_token.');
-  }
-
-  const updated = {
-    access_token: response.access_token,
-    refresh_token: response.refresh_token ?? tokens.refresh_token,
-    expires_in: response.expires_in ?? tokens.expires_in,
-    scope: response.scope ?? tokens.scope,
-    obtained_at: new Date().toISOString(),
-  };
-
-  await saveTokens(updated);
-}
-
 async function runSampleAction() {
   try {
-    const client = new KickApiClient({ accessToken: tokens.access_token });
     const channels = await client.getChannels({});
     console.log('Sample action succeeded. Channel data:', channels[0]?.slug ?? channels[0] ?? 'N/A');
   } catch (error) {
@@ -154,11 +102,10 @@ async function runSampleAction() {
 }
 
 async function main() {
-  await loadTokens();
   if (!tokensAvailable()) {
     await interactiveAuthorization();
   }
-  await refreshLoop();
+  await sampleLoop();
 }
 
 main().catch((error) => {
@@ -1,9 +1,22 @@
 import crypto from 'node:crypto';
+import http from 'node:http';
 import { URL, URLSearchParams } from 'node:url';
-import { KickApiError, parseKickResponse } from './errors.js';
+import {
+  KickAuthorizationError,
+  KickInputError,
+  createKickApiError,
+  parseKickResponse,
+  toNetworkError,
+} from './errors.js';
+import { DEFAULT_TIMEOUT_MS, withTimeout } from './http.js';
+import { resolveMiddleware } from './middleware.js';
+import { KICK_SCOPES } from './scopes.js';
 
 export const DEFAULT_OAUTH_BASE_URL = 'https://id.kick.com';
-const DEFAULT_SCOPE = 'chat:write';
+const DEFAULT_SCOPE = KICK_SCOPES.CHAT_WRITE;
+const DEFAULT_LOCAL_AUTHORIZATION_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_AUTH_SESSION_TTL_MS = 10 * 60 * 1000;
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
 
 /**
  * Generates a random PKCE verifier string.
@@ -56,13 +69,13 @@ export function createAuthorizationUrl({
   codeChallenge,
   baseUrl = DEFAULT_OAUTH_BASE_URL,
 }) {
-  if (!clientId) throw new Error('clientId is required to create authorization URL');
-  if (!redirectUri) throw new Error('redirectUri is required to create authorization URL');
+  if (!clientId) throw new KickInputError('clientId is required to create authorization URL');
+  if (!redirectUri) throw new KickInputError('redirectUri is required to create authorization URL');
   if (!Array.isArray(scopes) || scopes.length === 0) {
-    throw new Error('At least one scope is required to create authorization URL');
+    throw new KickInputError('At least one scope is required to create authorization URL');
   }
-  if (!state) throw new Error('state is required to create authorization URL');
-  if (!codeChallenge) throw new Error('codeChallenge is required to create authorization URL');
+  if (!state) throw new KickInputError('state is required to create authorization URL');
+  if (!codeChallenge) throw new KickInputError('codeChallenge is required to create authorization URL');
 
   const url = new URL('/oauth/authorize', baseUrl);
   url.searchParams.set('response_type', 'code');
@@ -86,6 +99,355 @@ export function createPkcePair() {
   return { verifier, challenge };
 }
 
+/**
+ * Run the authorization code + PKCE flow against a temporary HTTP listener on `redirectUri`,
+ * the usual login experience for CLIs and local scripts.
+ *
+ * Generates the PKCE pair and `state`, hands the authorization URL to `onAuthorizationUrl`
+ * (print it or open a browser), validates the `state` Kick redirects back with, exchanges the
+ * code, and answers the browser with a success or failure page. The listener closes as soon
+ * as one callback was handled.
+ * @param {object} options
+ * @param {KickAuthClient} options.authClient
+ * @param {string} options.redirectUri - Loopback URL registered for the app, e.g. `http://localhost:3000/oauth/callback`.
+ * @param {string[]} [options.scopes]
+ * @param {(url: string) => unknown} options.onAuthorizationUrl - Show or open the consent URL.
+ * @param {number} [options.timeoutMs] - Give up when no callback arrives in time (default five minutes).
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<object>} The token response from `exchangeCodeForToken`.
+ */
+export async function authorizeWithLocalServer({
+  authClient,
+  redirectUri,
+  scopes = [DEFAULT_SCOPE],
+  onAuthorizationUrl,
+  timeoutMs = DEFAULT_LOCAL_AUTHORIZATION_TIMEOUT_MS,
+  signal,
+}) {
+  if (!(authClient instanceof KickAuthClient)) {
+    throw new KickInputError('authClient must be a KickAuthClient');
+  }
+  if (typeof onAuthorizationUrl !== 'function') {
+    throw new KickInputError('onAuthorizationUrl is required to show the consent URL');
+  }
+
+  const callbackUrl = new URL(redirectUri);
+  if (callbackUrl.protocol !== 'http:' || !LOOPBACK_HOSTS.has(callbackUrl.hostname)) {
+    throw new KickInputError('redirectUri must be an http:// loopback URL such as http://localhost:3000/callback');
+  }
+  signal?.throwIfAborted();
+
+  const { verifier, challenge } = createPkcePair();
+  const state = base64UrlEncode(crypto.randomBytes(24));
+  const authorizationUrl = createAuthorizationUrl({
+    clientId: authClient.clientId,
+    redirectUri,
+    scopes,
+    state,
+    codeChallenge: challenge,
+    baseUrl: authClient.baseUrl,
+  });
+
+  const server = http.createServer();
+  let timer = null;
+  let onAbort = null;
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(Number(callbackUrl.port || 80), callbackUrl.hostname.replace(/^\[|\]$/g, ''), () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+
+    return await new Promise((resolve, reject) => {
+      let handled = false;
+
+      timer = setTimeout(() => {
+        reject(new KickAuthorizationError(`No OAuth callback received within ${timeoutMs}ms`, {
+          reason: 'timeout',
+        }));
+      }, timeoutMs);
+      onAbort = () => reject(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      server.on('request', async (req, res) => {
+        const url = new URL(req.url ?? '/', callbackUrl);
+        if (req.method !== 'GET' || url.pathname !== callbackUrl.pathname || handled) {
+          res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8', Connection: 'close' }).end('Not found');
+          return;
+        }
+        handled = true;
+
+        try {
+          const returnedState = url.searchParams.get('state');
+          if (!returnedState || !safeEqual(returnedState, state)) {
+            throw new KickAuthorizationError('OAuth state mismatch; the callback did not come from this login attempt', {
+              reason: 'state_mismatch',
+            });
+          }
+
+          const tokens = await exchangeAuthorizationCallback(url.searchParams, {
+            authClient,
+            redirectUri,
+            codeVerifier: verifier,
+            signal,
+          });
+          renderAuthorizationPage(res, 200, 'Authorization complete', 'You can close this window and return to the terminal.');
+          resolve(tokens);
+        } catch (error) {
+          renderAuthorizationPage(res, 400, 'Authorization failed', error.message);
+          reject(error);
+        }
+      });
+
+      Promise.resolve(onAuthorizationUrl(authorizationUrl)).catch(reject);
+    });
+  } finally {
+    clearTimeout(timer);
+    if (onAbort) signal?.removeEventListener('abort', onAbort);
+    server.close();
+    server.closeAllConnections?.();
+  }
+}
+
+async function exchangeAuthorizationCallback(params, {
+  authClient,
+  redirectUri,
+  codeVerifier,
+  signal,
+  timeoutMs,
+}) {
+  const error = params.get('error');
+  if (error) {
+    const description = params.get('error_description');
+    throw new KickAuthorizationError(`Authorization was not granted: ${description ?? error}`, {
+      reason: error,
+      description,
+    });
+  }
+
+  const code = params.get('code');
+  if (!code) {
+    throw new KickAuthorizationError('The OAuth callback did not include a code', { reason: 'missing_code' });
+  }
+
+  return authClient.exchangeCodeForToken({
+    code,
+    redirectUri,
+    codeVerifier,
+    signal,
+    timeoutMs,
+  });
+}
+
+function renderAuthorizationPage(res, status, title, message) {
+  const body = `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: system-ui, sans-serif; margin: 4rem auto; max-width: 32rem; text-align: center">
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+</body>
+</html>
+`;
+  res.writeHead(status, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store',
+    Connection: 'close',
+  }).end(body);
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * @typedef {object} KickAuthSession
+ * @property {string} state
+ * @property {string} verifier - PKCE code verifier; never leaves the server.
+ * @property {string} redirectUri
+ * @property {string[]} scopes
+ * @property {Record<string, unknown>} metadata - Caller data carried from `start()` to `complete()`.
+ * @property {number} createdAt - Epoch milliseconds.
+ * @property {number} expiresAt - Epoch milliseconds.
+ */
+
+/**
+ * In-memory storage for pending authorization sessions. Replace it with a shared store
+ * implementing `set` and `take` when several server instances handle callbacks.
+ */
+export class MemoryAuthSessionStore {
+  #sessions = new Map();
+
+  /**
+   * @param {string} state
+   * @param {KickAuthSession} session
+   * @returns {Promise<void>}
+   */
+  async set(state, session) {
+    this.#prune();
+    this.#sessions.set(state, session);
+  }
+
+  /**
+   * Remove and return a session so each `state` can be used once.
+   * @param {string} state
+   * @returns {Promise<KickAuthSession | null>}
+   */
+  async take(state) {
+    this.#prune();
+    const session = this.#sessions.get(state) ?? null;
+    this.#sessions.delete(state);
+    return session;
+  }
+
+  get size() {
+    this.#prune();
+    return this.#sessions.size;
+  }
+
+  #prune() {
+    const now = Date.now();
+    for (const [state, session] of this.#sessions) {
+      if (session.expiresAt <= now) this.#sessions.delete(state);
+    }
+  }
+}
+
+/**
+ * Server-side state and PKCE bookkeeping for web onboarding.
+ *
+ * `start()` records `{ state, verifier, redirectUri, scopes }` with a TTL and returns the
+ * authorization URL; `complete()` looks the session up by the returned `state`, consumes it,
+ * and exchanges the code. Unknown, expired, or reused `state` values are rejected, which is
+ * the CSRF protection OAuth expects, and the verifier never reaches the browser.
+ */
+export class KickAuthSessionManager {
+  /**
+   * @param {object} options
+   * @param {KickAuthClient} options.authClient
+   * @param {string} options.redirectUri - Default callback URL for new sessions.
+   * @param {string[]} [options.scopes] - Default scopes for new sessions.
+   * @param {number} [options.ttlMs] - How long a user has to finish consenting (default ten minutes).
+   * @param {{ set(state: string, session: KickAuthSession): Promise<void>, take(state: string): Promise<KickAuthSession | null> }} [options.store]
+   */
+  constructor({
+    authClient,
+    redirectUri,
+    scopes = [DEFAULT_SCOPE],
+    ttlMs = DEFAULT_AUTH_SESSION_TTL_MS,
+    store = new MemoryAuthSessionStore(),
+  }) {
+    if (!(authClient instanceof KickAuthClient)) {
+      throw new KickInputError('authClient must be a KickAuthClient');
+    }
+    if (!redirectUri) throw new KickInputError('redirectUri is required for KickAuthSessionManager');
+    if (typeof store?.set !== 'function' || typeof store?.take !== 'function') {
+      throw new KickInputError('store must implement set(state, session) and take(state)');
+    }
+
+    this.authClient = authClient;
+    this.redirectUri = redirectUri;
+    this.scopes = scopes;
+    this.ttlMs = ttlMs;
+    this.store = store;
+  }
+
+  /**
+   * Begin an authorization attempt.
+   * @param {object} [options]
+   * @param {string[]} [options.scopes]
+   * @param {string} [options.redirectUri]
+   * @param {Record<string, unknown>} [options.metadata] - Returned by `complete()`, e.g. the signed-in user id.
+   * @returns {Promise<{ url: string, state: string, expiresAt: number }>}
+   */
+  async start({
+    scopes = this.scopes,
+    redirectUri = this.redirectUri,
+    metadata = {},
+  } = {}) {
+    const { verifier, challenge } = createPkcePair();
+    const state = base64UrlEncode(crypto.randomBytes(24));
+    const url = createAuthorizationUrl({
+      clientId: this.authClient.clientId,
+      redirectUri,
+      scopes,
+      state,
+      codeChallenge: challenge,
+      baseUrl: this.authClient.baseUrl,
+    });
+
+    const createdAt = Date.now();
+    const session = {
+      state,
+      verifier,
+      redirectUri,
+      scopes: [...scopes],
+      metadata,
+      createdAt,
+      expiresAt: createdAt + this.ttlMs,
+    };
+    await this.store.set(state, session);
+
+    return { url, state, expiresAt: session.expiresAt };
+  }
+
+  /**
+   * Finish an attempt from the OAuth callback and exchange its code.
+   * @param {URL | URLSearchParams | string | Record<string, string>} callback - Callback URL,
+   *   its query string, or the parsed query parameters.
+   * @param {object} [requestOptions]
+   * @param {AbortSignal} [requestOptions.signal]
+   * @param {number | null} [requestOptions.timeoutMs]
+   * @returns {Promise<{ tokens: object, session: Omit<KickAuthSession, 'verifier'> }>}
+   */
+  async complete(callback, requestOptions = {}) {
+    const params = toSearchParams(callback);
+    const state = params.get('state');
+    if (!state) {
+      throw new KickAuthorizationError('The OAuth callback did not include a state', { reason: 'state_mismatch' });
+    }
+
+    // Taking the session before checking anything else makes every state single use.
+    const session = await this.store.take(state);
+    if (!session || session.expiresAt <= Date.now()) {
+      throw new KickAuthorizationError('Unknown, expired, or already used OAuth state', { reason: 'state_mismatch' });
+    }
+
+    const tokens = await exchangeAuthorizationCallback(params, {
+      authClient: this.authClient,
+      redirectUri: session.redirectUri,
+      codeVerifier: session.verifier,
+      ...requestOptions,
+    });
+
+    const { verifier: _verifier, ...publicSession } = session;
+    return { tokens, session: publicSession };
+  }
+}
+
+function toSearchParams(callback) {
+  if (callback instanceof URLSearchParams) return callback;
+  if (callback instanceof URL) return callback.searchParams;
+  if (typeof callback === 'string') {
+    return /^[a-z][a-z0-9+.-]*:/i.test(callback)
+      ? new URL(callback).searchParams
+      : new URLSearchParams(callback.slice(callback.indexOf('?') + 1));
+  }
+  if (callback && typeof callback === 'object') {
+    return new URLSearchParams(Object.entries(callback).filter(([, value]) => value !== undefined && value !== null));
+  }
+  throw new KickInputError('complete() expects the callback URL or its query parameters');
+}
+
 /**
  * Client that encapsulates OAuth flows for Kick apps.
  */
@@ -96,31 +458,49 @@ export class KickAuthClient {
    * @param {string} [options.clientSecret]
    * @param {string} [options.baseUrl]
    * @param {(input: RequestInfo, init?: RequestInit) => Promise<Response>} [options.fetchImpl]
+   * @param {number | null} [options.timeoutMs] - Timeout for OAuth requests; `null` or `0` waits indefinitely.
+   * @param {import('./middleware.js').KickMiddlewarePipeline | import('./middleware.js').KickMiddleware[]} [options.middleware]
    */
   constructor({
     clientId,
     clientSecret,
     baseUrl = DEFAULT_OAUTH_BASE_URL,
     fetchImpl = globalThis.fetch,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    middleware,
   }) {
-    if (!clientId) throw new Error('clientId is required for KickAuthClient');
+    if (!clientId) throw new KickInputError('clientId is required for KickAuthClient');
     if (typeof fetchImpl !== 'function') {
-      throw new Error('The provided fetch implementation must be a function');
+      throw new KickInputError('The provided fetch implementation must be a function');
     }
 
     this.clientId = clientId;
     this.clientSecret = clientSecret;
     this.baseUrl = baseUrl.replace(/\/+$/, '');
     this.fetchImpl = fetchImpl;
+    this.timeoutMs = timeoutMs;
+    this.middleware = resolveMiddleware(middleware);
+  }
+
+  /**
+   * Register a middleware that wraps every OAuth request.
+   * @param {import('./middleware.js').KickMiddleware} middleware
+   * @returns {this}
+   */
+  use(middleware) {
+    this.middleware.use(middleware);
+    return this;
   }
 
   /**
    * Request an app access token via the OAuth client credentials flow.
    * @param {object} [options]
    * @param {string[]} [options.scopes]
+   * @param {AbortSignal} [options.signal]
+   * @param {number | null} [options.timeoutMs]
    * @returns {Promise<object>}
    */
-  async getAppAccessToken({ scopes = [DEFAULT_SCOPE] } = {}) {
+  async getAppAccessToken({ scopes = [DEFAULT_SCOPE], ...requestOptions } = {}) {
     const params = new URLSearchParams({
       grant_type: 'client_credentials',
       client_id: this.clientId,
@@ -134,7 +514,7 @@ export class KickAuthClient {
       params.set('scope', scopes.join(' '));
     }
 
-    return this.#postForm('/oauth/token', params);
+    return this.#postForm('/oauth/token', params, requestOptions);
   }
 
   /**
@@ -143,12 +523,19 @@ export class KickAuthClient {
    * @param {string} options.code
    * @param {string} options.redirectUri
    * @param {string} options.codeVerifier
+   * @param {AbortSignal} [options.signal]
+   * @param {number | null} [options.timeoutMs]
    * @returns {Promise<object>}
    */
-  async exchangeCodeForToken({ code, redirectUri, codeVerifier }) {
-    if (!code) throw new Error('code is required to exchange for token');
-    if (!redirectUri) throw new Error('redirectUri is required to exchange for token');
-    if (!codeVerifier) throw new Error('codeVerifier is required to exchange for token');
+  async exchangeCodeForToken({
+    code,
+    redirectUri,
+    codeVerifier,
+    ...requestOptions
+  }) {
+    if (!code) throw new KickInputError('code is required to exchange for token');
+    if (!redirectUri) throw new KickInputError('redirectUri is required to exchange for token');
+    if (!codeVerifier) throw new KickInputError('codeVerifier is required to exchange for token');
 
     const params = new URLSearchParams({
       grant_type: 'authorization_code',
@@ -162,17 +549,19 @@ export class KickAuthClient {
       params.set('client_secret', this.clientSecret);
     }
 
-    return this.#postForm('/oauth/token', params);
+    return this.#postForm('/oauth/token', params, requestOptions);
   }
 
   /**
    * Refresh an access token using its refresh token.
    * @param {object} options
    * @param {string} options.refreshToken
+   * @param {AbortSignal} [options.signal]
+   * @param {number | null} [options.timeoutMs]
    * @returns {Promise<object>}
    */
-  async refreshAccessToken({ refreshToken }) {
-    if (!refreshToken) throw new Error('refreshToken is required to refresh access token');
+  async refreshAccessToken({ refreshToken, ...requestOptions }) {
+    if (!refreshToken) throw new KickInputError('refreshToken is required to refresh access token');
 
     const params = new URLSearchParams({
       grant_type: 'refresh_token',
@@ -184,7 +573,7 @@ export class KickAuthClient {
       params.set('client_secret', this.clientSecret);
     }
 
-    return this.#postForm('/oauth/token', params);
+    return this.#postForm('/oauth/token', params, requestOptions);
   }
 
   /**
@@ -192,57 +581,96 @@ export class KickAuthClient {
    * @param {object} options
    * @param {string} options.token
    * @param {'access_token' | 'refresh_token'} [options.tokenTypeHint]
+   * @param {AbortSignal} [options.signal]
+   * @param {number | null} [options.timeoutMs]
    * @returns {Promise<void>}
    */
-  async revokeToken({ token, tokenTypeHint }) {
-    if (!token) throw new Error('token is required to revoke');
+  async revokeToken({
+    token,
+    tokenTypeHint,
+    signal,
+    timeoutMs = this.timeoutMs,
+  }) {
+    if (!token) throw new KickInputError('token is required to revoke');
 
-    const params = new URLSearchParams({
-      token,
-    });
+    const query = { token };
 
     if (tokenTypeHint) {
-      params.set('token_hint_type', tokenTypeHint);
+      query.token_hint_type = tokenTypeHint;
     }
 
-    const response = await this.fetchImpl(`${this.baseUrl}/oauth/revoke?${params.toString()}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
+    const { response, data: body } = await this.#send({
+      path: '/oauth/revoke',
+      query,
+      signal,
+      timeoutMs,
     });
 
     if (!response.ok) {
-      const body = await parseKickResponse(response);
-      throw new KickApiError('Failed to revoke token', {
-        status: response.status,
-        statusText: response.statusText,
-        body,
-        requestId: response.headers.get('kick-request-id') ?? response.headers.get('x-request-id'),
-      });
+      throw createKickApiError('Failed to revoke token', response, body);
     }
   }
 
-  async #postForm(path, params) {
-    const response = await this.fetchImpl(`${this.baseUrl}${path}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: params.toString(),
+  async #postForm(path, params, { signal, timeoutMs = this.timeoutMs } = {}) {
+    const { response, data: body } = await this.#send({
+      path,
+      body: params,
+      signal,
+      timeoutMs,
     });
 
-    const body = await parseKickResponse(response);
-
     if (!response.ok) {
-      throw new KickApiError('Kick OAuth request failed', {
-        status: response.status,
-        statusText: response.statusText,
-        body,
-        requestId: response.headers.get('kick-request-id') ?? response.headers.get('x-request-id'),
-      });
+      throw createKickApiError('Kick OAuth request failed', response, body);
     }
 
     return body;
   }
+
+  async #send({
+    path,
+    query,
+    body,
+    signal,
+    timeoutMs,
+  }) {
+    return withTimeout({ signal, timeoutMs }, async (requestSignal) => {
+      const ctx = {
+        method: 'POST',
+        path,
+        query,
+        body,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        attempt: 1,
+        signal: requestSignal,
+        response: null,
+        data: undefined,
+        error: null,
+        state: {},
+      };
+
+      await this.middleware.run(ctx, async (current) => {
+        const queryString = current.query ? new URLSearchParams(current.query).toString() : '';
+        try {
+          current.response = await this.fetchImpl(
+            `${this.baseUrl}${current.path}${queryString ? `?${queryString}` : ''}`,
+            {
+              method: current.method,
+              headers: current.headers,
+              body: current.body === undefined || current.body === null ? undefined : String(current.body),
+              signal: current.signal,
+            },
+          );
+          current.data = await parseKickResponse(current.response);
+        } catch (error) {
+          current.error = toNetworkError(error, current.signal);
+          throw current.error;
+        }
+      });
+
+      if (!ctx.response) {
+        throw new KickInputError('Middleware finished without calling next() or setting ctx.response');
+      }
+      return ctx;
+    });
+  }
 }
@@ -0,0 +1,518 @@
+import { EventEmitter } from 'node:events';
+import { KickAuthSessionManager } from './auth.js';
+import { ChatSender } from './chat-sender.js';
+import { KickApiClient } from './client.js';
+import { KickAuthorizationError, KickInputError } from './errors.js';
+import { KickEventRouter } from './events.js';
+import { KickTokenManager, isTerminalRefreshError, normalizeTokens } from './token-manager.js';
+import { KICK_SCOPES } from './scopes.js';
+import { MemoryTokenStore } from './token-store.js';
+import { KickWebhookReceiver } from './webhooks.js';
+
+const DEFAULT_EVENTS = Object.freeze([Object.freeze({ name: 'chat.message.sent', version: 1 })]);
+const DEFAULT_CONNECT_RETRY_DELAY_MS = 30_000;
+const DEFAULT_MAX_CONNECT_RETRY_DELAY_MS = 10 * 60_000;
+
+/**
+ * Everything the host keeps for one connected broadcaster. Handlers receive it as their
+ * third argument.
+ * @typedef {object} KickBotStreamer
+ * @property {number} broadcasterUserId
+ * @property {string | null} slug
+ * @property {'active' | 'needs_reauth'} state - `needs_reauth` once Kick rejected the refresh token.
+ * @property {Record<string, string | null>} subscriptions - Subscription id per event name.
+ * @property {string[]} orphanedSubscriptions - Subscriptions that could not be deleted after the tenant
+ *   moved to `needs_reauth`; retried by `start()` and `deleteOrphanedSubscriptions()`.
+ * @property {KickApiClient} client - Authenticated as the broadcaster; refreshes automatically.
+ * @property {KickTokenManager} tokenManager
+ * @property {ChatSender} chat - Outgoing chat queue for the channel.
+ * @property {import('./chat.js').ChatSession} session - Chat session bound to the channel, sending through `chat`.
+ * @property {Record<string, unknown>} metadata - Extra data saved with the tokens.
+ */
+
+/**
+ * Runs one bot for many broadcasters. The host loads tenants from a token store, keeps a
+ * refreshing `KickApiClient` and chat queue per broadcaster, reconciles their event
+ * subscriptions, and routes webhook events to handlers written once on `host.router`:
+ *
+ * ```js
+ * host.router.on('chat.message.sent', (message, event, streamer) => streamer.session.reply(message, 'hi {user}'));
+ * ```
+ *
+ * Emits `streamerAdded` (streamer), `streamerRemoved` (streamer), `needsReauth` (streamer,
+ * error) and `error` (error, streamer) for failures in background work. Errors are only
+ * emitted when an `error` listener is attached.
+ *
+ * Transient refresh failures are retried with backoff by each tenant's `KickTokenManager`,
+ * and tenants that `start()` cannot connect because of a network error, timeout, 408, 429
+ * or 5xx are retried with backoff by the host. When Kick rejects a refresh token or the
+ * tenant's credentials, the tenant moves to `needs_reauth`: its timers, chat queue and event
+ * routing stop, the state is saved to the store, its subscriptions are deleted if
+ * `deleteSubscriptionsOnReauth` is set, and `needsReauth` fires. Subscriptions that cannot
+ * be deleted are kept in `orphanedSubscriptions`. Onboarding the broadcaster again (or
+ * `addStreamer` with new tokens) reactivates it.
+ */
+export class KickBotHost extends EventEmitter {
+  #streamers = new Map();
+
+  #subscriptions = new Map();
+
+  #tasks = new Set();
+
+  #timers = new Map();
+
+  #connectRetries = new Map();
+
+  /**
+   * @param {object} options
+   * @param {import('./auth.js').KickAuthClient} options.authClient - Refreshes tenant tokens and completes onboarding.
+   * @param {import('./token-store.js').KickTokenStore} [options.store] - Where tenants and their tokens are kept.
+   * @param {Array<string | { name: string, version?: number }>} [options.events] - Subscriptions every tenant should have.
+   * @param {KickEventRouter} [options.router]
+   * @param {KickWebhookReceiver | ConstructorParameters<typeof KickWebhookReceiver>[0]} [options.receiver]
+   * @param {ConstructorParameters<typeof KickApiClient>[0]} [options.clientOptions] - Extra options for tenant clients.
+   * @param {Omit<ConstructorParameters<typeof ChatSender>[0], 'client'>} [options.chatOptions] - Options for tenant chat queues.
+   * @param {string} [options.redirectUri] - Enables `startOnboarding` / `completeOnboarding`.
+   * @param {string[]} [options.scopes] - Scopes requested during onboarding.
+   * @param {boolean} [options.deleteSubscriptionsOnReauth] - Delete a tenant's subscriptions, using an app
+   *   access token, once it needs re-authorization.
+   * @param {number} [options.connectRetryDelayMs] - Delay before `start()` retries a tenant that failed to
+   *   connect for a transient reason; doubles on every consecutive failure.
+   * @param {number} [options.maxConnectRetryDelayMs] - Upper bound for the connect retry delay.
+   */
+  constructor({
+    authClient,
+    store = new MemoryTokenStore(),
+    events = DEFAULT_EVENTS,
+    router = new KickEventRouter(),
+    receiver,
+    clientOptions = {},
+    chatOptions = {},
+    redirectUri,
+    scopes,
+    deleteSubscriptionsOnReauth = false,
+    connectRetryDelayMs = DEFAULT_CONNECT_RETRY_DELAY_MS,
+    maxConnectRetryDelayMs = DEFAULT_MAX_CONNECT_RETRY_DELAY_MS,
+  }) {
+    super();
+    if (!authClient) throw new KickInputError('authClient is required for KickBotHost');
+
+    this.authClient = authClient;
+    this.store = store;
+    this.events = events;
+    this.router = router;
+    this.receiver = receiver instanceof KickWebhookReceiver ? receiver : new KickWebhookReceiver(receiver);
+    this.clientOptions = clientOptions;
+    this.chatOptions = chatOptions;
+    this.deleteSubscriptionsOnReauth = deleteSubscriptionsOnReauth;
+    this.connectRetryDelayMs = connectRetryDelayMs;
+    this.maxConnectRetryDelayMs = maxConnectRetryDelayMs;
+    this.sessions = redirectUri
+      ? new KickAuthSessionManager({ authClient, redirectUri, scopes })
+      : null;
+  }
+
+  /**
+   * Registered broadcasters, including those waiting for re-authorization (see `state`).
+   * @returns {KickBotStreamer[]}
+   */
+  get streamers() {
+    return [...this.#streamers.values()];
+  }
+
+  /**
+   * @param {number | string} broadcasterUserId
+   * @returns {KickBotStreamer | null}
+   */
+  getStreamer(broadcasterUserId) {
+    return this.#streamers.get(Number(broadcasterUserId)) ?? null;
+  }
+
+  /**
+   * Connect every broadcaster saved in the store. Failures are reported through `error`.
+   * Tenants that fail for a transient reason are retried in the background with backoff
+   * and emit `streamerAdded` once connected; tenants saved as `needs_reauth` are listed but
+   * not started, and their orphaned subscriptions are deleted again.
+   * @returns {Promise<KickBotStreamer[]>} The tenants that started.
+   */
+  async start() {
+    const started = [];
+    for (const key of await this.store.list()) {
+      const id = Number(key);
+      if (this.#streamers.has(id) || this.#connectRetries.has(id)) continue;
+
+      const record = await this.store.get(key);
+      if (!record?.refreshToken && record?.state !== 'needs_reauth') {
+        this.#reportError(new KickInputError(`Stored tenant ${key} has no refresh token`), null);
+        continue;
+      }
+
+      try {
+        const streamer = await this.#connect(id, record);
+        if (streamer.state === 'active') started.push(streamer);
+      } catch (error) {
+        this.#reportError(error, null);
+        if (!(error instanceof KickInputError)) this.#scheduleConnectRetry(id, 1);
+      }
+    }
+    await this.deleteOrphanedSubscriptions();
+    return started;
+  }
+
+  /**
+   * Delete subscriptions that were left behind when cleaning up after a tenant moved to
+   * `needs_reauth` failed. Ids that still cannot be deleted stay in `orphanedSubscriptions`.
+   * @returns {Promise<number>} Number of subscriptions deleted.
+   */
+  async deleteOrphanedSubscriptions() {
+    let deleted = 0;
+    for (const streamer of this.#streamers.values()) {
+      if (streamer.state !== 'needs_reauth' || streamer.orphanedSubscriptions.length === 0) continue;
+      const ids = streamer.orphanedSubscriptions;
+      if (await this.#cleanUpSubscriptions(streamer)) deleted += ids.length;
+    }
+    return deleted;
+  }
+
+  /**
+   * Connect a broadcaster, or reconnect one with fresh tokens.
+   * @param {object} options
+   * @param {object} options.tokens - camelCase tokens or an OAuth token response.
+   * @param {number} [options.broadcasterUserId] - Looked up from the token's channel when omitted.
+   * @param {Record<string, unknown>} [options.metadata] - Saved with the tokens.
+   * @returns {Promise<KickBotStreamer>}
+   */
+  async addStreamer({ tokens, broadcasterUserId, metadata = {} }) {
+    if (!tokens) throw new KickInputError('tokens are required to add a streamer');
+
+    let id = broadcasterUserId;
+    let slug = null;
+    if (id === undefined || id === null) {
+      const accessToken = tokens.accessToken ?? tokens.access_token;
+      const lookup = new KickApiClient({ ...this.clientOptions, accessToken });
+      const [channel] = (await lookup.getChannels({})) ?? [];
+      if (!channel?.broadcaster_user_id) {
+        throw new KickInputError('Unable to determine the broadcaster for these tokens');
+      }
+      id = channel.broadcaster_user_id;
+      slug = channel.slug ?? null;
+    }
+
+    const previous = this.getStreamer(id);
+    if (previous) this.#disconnect(previous);
+    this.#cancelConnectRetry(Number(id));
+
+    const existing = (await this.store.get(id)) ?? {};
+    await this.store.set(id, {
+      ...existing,
+      ...normalizeTokens(tokens),
+      slug: slug ?? existing.slug ?? null,
+      state: 'active',
+      metadata: { ...existing.metadata, ...metadata },
+    });
+    return this.#connect(Number(id), await this.store.get(id));
+  }
+
+  /**
+   * Disconnect a broadcaster: stops its timers and token refresh, and by default deletes its
+   * subscriptions and stored record.
+   * @param {number | string} broadcasterUserId
+   * @param {object} [options]
+   * @param {boolean} [options.deleteSubscriptions]
+   * @param {boolean} [options.forget] - Delete the record from the store.
+   * @returns {Promise<boolean>} `false` when the broadcaster was not connected.
+   */
+  async removeStreamer(broadcasterUserId, { deleteSubscriptions = true, forget = true } = {}) {
+    this.#cancelConnectRetry(Number(broadcasterUserId));
+    const streamer = this.getStreamer(broadcasterUserId);
+    if (!streamer) {
+      if (forget) await this.store.delete(Number(broadcasterUserId));
+      return false;
+    }
+
+    this.#disconnect(streamer);
+    if (deleteSubscriptions) await this.#deleteSubscriptions(streamer);
+    if (forget) await this.store.delete(streamer.broadcasterUserId);
+
+    this.emit('streamerRemoved', streamer);
+    return true;
+  }
+
+  /**
+   * Disconnect every broadcaster without touching subscriptions or the store.
+   */
+  stop() {
+    for (const id of this.#connectRetries.keys()) this.#cancelConnectRetry(id);
+    for (const streamer of this.#streamers.values()) {
+      this.#disconnect(streamer);
+    }
+  }
+
+  /**
+   * Run a task for every connected broadcaster every `intervalMs`, including broadcasters
+   * added later. Timers stop when a broadcaster is removed.
+   * @param {number} intervalMs
+   * @param {(streamer: KickBotStreamer) => unknown} task
+   * @returns {() => void} Cancels the task for every broadcaster.
+   */
+  every(intervalMs, task) {
+    if (!(intervalMs > 0) || typeof task !== 'function') {
+      throw new KickInputError('every() needs a positive interval and a task function');
+    }
+
+    const entry = { intervalMs, task };
+    this.#tasks.add(entry);
+    for (const streamer of this.#streamers.values()) {
+      if (streamer.state === 'active') this.#startTask(streamer, entry);
+    }
+
+    return () => {
+      this.#tasks.delete(entry);
+      for (const timers of this.#timers.values()) {
+        clearInterval(timers.get(entry));
+        timers.delete(entry);
+      }
+    };
+  }
+
+  /**
+   * Route a verified webhook event to `router` with its broadcaster as context. Events whose
+   * subscription id does not belong to an active tenant are ignored, so stale or foreign
+   * subscriptions never reach tenant handlers.
+   * @param {import('./webhooks.js').KickWebhookEvent} event
+   * @returns {Promise<number>} Number of handlers invoked.
+   */
+  async dispatch(event) {
+    const streamer = this.#subscriptions.get(event?.subscriptionId);
+    if (streamer?.state !== 'active') return 0;
+    return this.router.dispatch(event, streamer);
+  }
+
+  /**
+   * Node.js request listener that verifies deliveries and dispatches them through the host.
+   * @param {Parameters<KickWebhookReceiver['createRequestHandler']>[1]} [options]
+   * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => Promise<void>}
+   */
+  createRequestHandler(options) {
+    return this.receiver.createRequestHandler(this, options);
+  }
+
+  /**
+   * Begin onboarding a broadcaster; redirect them to the returned `url`.
+   * @param {Parameters<KickAuthSessionManager['start']>[0]} [options]
+   * @returns {ReturnType<KickAuthSessionManager['start']>}
+   */
+  startOnboarding(options) {
+    return this.#requireSessions().start(options);
+  }
+
+  /**
+   * Finish onboarding from the OAuth callback and connect the broadcaster.
+   * @param {Parameters<KickAuthSessionManager['complete']>[0]} callback - Callback URL or its query parameters.
+   * @returns {Promise<KickBotStreamer>}
+   */
+  async completeOnboarding(callback) {
+    const { tokens, session } = await this.#requireSessions().complete(callback);
+    return this.addStreamer({ tokens, metadata: session.metadata ?? {} });
+  }
+
+  async #connect(broadcasterUserId, record) {
+    const streamer = {
+      broadcasterUserId,
+      slug: record.slug ?? null,
+      state: record.state === 'needs_reauth' ? 'needs_reauth' : 'active',
+      subscriptions: record.subscriptions ?? {},
+      orphanedSubscriptions: record.orphanedSubscriptions ?? [],
+      client: null,
+      tokenManager: null,
+      chat: null,
+      session: null,
+      metadata: record.metadata ?? {},
+    };
+
+    streamer.tokenManager = new KickTokenManager({
+      authClient: this.authClient,
+      tokens: record,
+      autoRefresh: streamer.state === 'active',
+      store: this.store,
+      storeKey: broadcasterUserId,
+      onError: (error) => this.#reportError(error, streamer),
+      onReauthRequired: (error) => this.#markNeedsReauth(streamer, error),
+    });
+    streamer.client = new KickApiClient({ ...this.clientOptions, tokenManager: streamer.tokenManager });
+    streamer.chat = new ChatSender({ ...this.chatOptions, client: streamer.client });
+    streamer.session = streamer.client.createChatSession({
+      broadcasterUserId,
+      channel: streamer.slug ?? undefined,
+      sender: streamer.chat,
+    });
+
+    // Tenants waiting for re-authorization stay listed but do no work.
+    if (streamer.state === 'needs_reauth') {
+      this.#streamers.set(broadcasterUserId, streamer);
+      return streamer;
+    }
+
+    try {
+      await streamer.tokenManager.getAccessToken();
+      const report = await streamer.client.reconcileSubscriptions({
+        broadcasterUserId,
+        events: this.events,
+        prune: true,
+      });
+      streamer.subscriptions = report.subscriptions;
+    } catch (error) {
+      streamer.tokenManager.stop();
+      // Transient failures are retried by `start()`; only rejected credentials need the broadcaster.
+      if (streamer.state !== 'needs_reauth' && !isTerminalRefreshError(error)) throw error;
+      this.#streamers.set(broadcasterUserId, streamer);
+      await this.#markNeedsReauth(streamer, new KickAuthorizationError(
+        'Kick rejected the broadcaster\'s credentials while connecting; the user has to authorize the application again',
+        { reason: 'needs_reauth', cause: error },
+      ));
+      return streamer;
+    }
+    // Reconciling accounts for every subscription the broadcaster still has.
+    streamer.orphanedSubscriptions = [];
+    await this.#saveRecord(streamer, { subscriptions: streamer.subscriptions, orphanedSubscriptions: [] });
+
+    this.#streamers.set(broadcasterUserId, streamer);
+    for (const id of Object.values(streamer.subscriptions)) {
+      if (id) this.#subscriptions.set(id, streamer);
+    }
+    this.#timers.set(broadcasterUserId, new Map());
+    for (const entry of this.#tasks) this.#startTask(streamer, entry);
+
+    this.emit('streamerAdded', streamer);
+    return streamer;
+  }
+
+  #scheduleConnectRetry(broadcasterUserId, attempt) {
+    const delayMs = Math.min(this.maxConnectRetryDelayMs, this.connectRetryDelayMs * 2 ** (attempt - 1));
+    const timer = setTimeout(async () => {
+      this.#connectRetries.delete(broadcasterUserId);
+      if (this.#streamers.has(broadcasterUserId)) return;
+
+      // Re-read the record: the failed attempt may have rotated the refresh token.
+      const record = await this.store.get(broadcasterUserId).catch(() => null);
+      if (!record) return;
+      try {
+        await this.#connect(broadcasterUserId, record);
+      } catch (error) {
+        this.#reportError(error, null);
+        if (!(error instanceof KickInputError)) this.#scheduleConnectRetry(broadcasterUserId, attempt + 1);
+      }
+    }, delayMs);
+    timer.unref?.();
+    this.#connectRetries.set(broadcasterUserId, timer);
+  }
+
+  #cancelConnectRetry(broadcasterUserId) {
+    clearTimeout(this.#connectRetries.get(broadcasterUserId));
+    this.#connectRetries.delete(broadcasterUserId);
+  }
+
+  #disconnect(streamer) {
+    streamer.tokenManager.stop();
+    this.#pause(streamer);
+    if (this.#streamers.get(streamer.broadcasterUserId) === streamer) {
+      this.#streamers.delete(streamer.broadcasterUserId);
+    }
+  }
+
+  // Stop timers, queued chat and event routing, but keep the tenant registered.
+  #pause(streamer) {
+    streamer.chat.clear();
+    for (const timer of this.#timers.get(streamer.broadcasterUserId)?.values() ?? []) {
+      clearInterval(timer);
+    }
+    this.#timers.delete(streamer.broadcasterUserId);
+    for (const id of Object.values(streamer.subscriptions)) {
+      if (this.#subscriptions.get(id) === streamer) this.#subscriptions.delete(id);
+    }
+  }
+
+  #startTask(streamer, entry) {
+    const timer = setInterval(async () => {
+      try {
+        await entry.task(streamer);
+      } catch (error) {
+        this.#reportError(error, streamer);
+      }
+    }, entry.intervalMs);
+    this.#timers.get(streamer.broadcasterUserId)?.set(entry, timer);
+  }
+
+  async #markNeedsReauth(streamer, error) {
+    if (streamer.state === 'needs_reauth') return;
+    streamer.state = 'needs_reauth';
+    this.#pause(streamer);
+
+    try {
+      await this.#saveRecord(streamer, { state: 'needs_reauth' });
+    } catch (saveError) {
+      this.#reportError(saveError, streamer);
+    }
+    if (this.deleteSubscriptionsOnReauth) await this.#cleanUpSubscriptions(streamer);
+    this.emit('needsReauth', streamer, error);
+  }
+
+  // Delete a paused tenant's subscriptions. Ids that cannot be deleted are saved as orphaned
+  // so `deleteOrphanedSubscriptions` can retry them, instead of leaving webhooks behind unnoticed.
+  async #cleanUpSubscriptions(streamer) {
+    const ids = subscriptionIds(streamer);
+    if (ids.length === 0) return true;
+
+    try {
+      await this.#deleteSubscriptions(streamer, ids);
+      streamer.subscriptions = {};
+      streamer.orphanedSubscriptions = [];
+    } catch (error) {
+      streamer.orphanedSubscriptions = ids;
+      this.#reportError(error, streamer);
+    }
+    try {
+      await this.#saveRecord(streamer, {
+        subscriptions: streamer.subscriptions,
+        orphanedSubscriptions: streamer.orphanedSubscriptions,
+      });
+    } catch (saveError) {
+      this.#reportError(saveError, streamer);
+    }
+    return streamer.orphanedSubscriptions.length === 0;
+  }
+
+  async #deleteSubscriptions(streamer, ids = subscriptionIds(streamer)) {
+    if (ids.length === 0) return;
+
+    // A tenant whose refresh token was rejected cannot authenticate any more; fall back to an app token.
+    let client = streamer.client;
+    if (streamer.state !== 'active') {
+      const { access_token: accessToken } = await this.authClient.getAppAccessToken({
+        scopes: [KICK_SCOPES.EVENTS_SUBSCRIBE],
+      });
+      client = new KickApiClient({ ...this.clientOptions, accessToken });
+    }
+    await client.deleteEventSubscriptions({ ids });
+  }
+
+  async #saveRecord(streamer, changes) {
+    const existing = (await this.store.get(streamer.broadcasterUserId)) ?? {};
+    await this.store.set(streamer.broadcasterUserId, { ...existing, ...changes });
+  }
+
+  #reportError(error, streamer) {
+    if (this.listenerCount('error') > 0) this.emit('error', error, streamer);
+  }
+
+  #requireSessions() {
+    if (!this.sessions) {
+      throw new KickInputError('Pass redirectUri to KickBotHost to enable onboarding');
+    }
+    return this.sessions;
+  }
+}
+
+function subscriptionIds(streamer) {
+  return [...new Set([...Object.values(streamer.subscriptions), ...streamer.orphanedSubscriptions])].filter(Boolean);
+}
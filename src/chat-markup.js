@@ -0,0 +1,223 @@
+import { KickInputError } from './errors.js';
+
+const EMOTE_CDN_URL = 'https://files.kick.com/emotes';
+
+// Emote markup, @mentions and http(s) links, in that order of precedence.
+const TOKEN_PATTERN = /\[emote:(\d+):([^\]\s:]+)\]|(?<![\w@])@(\w{1,25})(?!\w)|https?:\/\/[^\s<>]+/g;
+
+const TRAILING_LINK_PUNCTUATION = /[.,!?;:'")\]]+$/;
+
+/**
+ * @typedef {object} KickChatTextToken
+ * @property {'text'} type
+ * @property {string} text
+ */
+
+/**
+ * @typedef {object} KickChatEmoteToken
+ * @property {'emote'} type
+ * @property {string} id
+ * @property {string} name
+ * @property {string} url - Full size image on Kick's CDN.
+ */
+
+/**
+ * @typedef {object} KickChatMentionToken
+ * @property {'mention'} type
+ * @property {string} username - Without the leading `@`.
+ */
+
+/**
+ * @typedef {object} KickChatLinkToken
+ * @property {'link'} type
+ * @property {string} url
+ */
+
+/**
+ * @typedef {KickChatTextToken | KickChatEmoteToken | KickChatMentionToken | KickChatLinkToken} KickChatToken
+ */
+
+/**
+ * CDN URL of an emote image.
+ * @param {string | number} emoteId
+ * @returns {string}
+ */
+export function getEmoteUrl(emoteId) {
+  return `${EMOTE_CDN_URL}/${encodeURIComponent(emoteId)}/fullsize`;
+}
+
+/**
+ * Split chat content into text, emote, mention and link tokens. Adjacent text is merged, so
+ * `formatChatTokens(parseChatMessage(content))` returns the original content.
+ * @param {string | { content?: string }} message - Content, or a normalized `chat.message.sent` payload.
+ * @returns {KickChatToken[]}
+ */
+export function parseChatMessage(message) {
+  const content = typeof message === 'string' ? message : message?.content ?? '';
+  const tokens = [];
+  const pushText = (text) => {
+    if (!text) return;
+    const last = tokens[tokens.length - 1];
+    if (last?.type === 'text') last.text += text;
+    else tokens.push({ type: 'text', text });
+  };
+
+  let cursor = 0;
+  for (const match of content.matchAll(TOKEN_PATTERN)) {
+    const [raw, emoteId, emoteName, username] = match;
+    pushText(content.slice(cursor, match.index));
+    cursor = match.index + raw.length;
+
+    if (emoteId !== undefined) {
+      tokens.push({
+        type: 'emote',
+        id: emoteId,
+        name: emoteName,
+        url: getEmoteUrl(emoteId),
+      });
+    } else if (username !== undefined) {
+      tokens.push({ type: 'mention', username });
+    } else {
+      const url = raw.replace(TRAILING_LINK_PUNCTUATION, '');
+      tokens.push({ type: 'link', url });
+      cursor -= raw.length - url.length;
+    }
+  }
+  pushText(content.slice(cursor));
+  return tokens;
+}
+
+/**
+ * Turn tokens back into Kick chat content.
+ * @param {KickChatToken[]} tokens
+ * @returns {string}
+ */
+export function formatChatTokens(tokens) {
+  return tokens.map((token) => {
+    switch (token?.type) {
+      case 'text':
+        return token.text;
+      case 'emote':
+        return formatEmote(token.id, token.name);
+      case 'mention':
+        return formatMention(token.username);
+      case 'link':
+        return String(token.url);
+      default:
+        throw new KickInputError(`Unknown chat token type ${token?.type}`);
+    }
+  }).join('');
+}
+
+/**
+ * Assembles outgoing chat content from text, emotes, mentions and links. Parts are separated
+ * by a single space unless one already ends or starts with whitespace, or the text starts
+ * with punctuation.
+ *
+ * @example
+ * const content = new ChatMessageBuilder()
+ *   .text('Thanks for the raid')
+ *   .mention('streamer')
+ *   .emote(37226, 'KEKW')
+ *   .build(); // 'Thanks for the raid @streamer [emote:37226:KEKW]'
+ */
+export class ChatMessageBuilder {
+  #tokens = [];
+
+  /**
+   * @param {string} text
+   * @returns {this}
+   */
+  text(text) {
+    return this.#push({ type: 'text', text: String(text) });
+  }
+
+  /**
+   * @param {string | number} id
+   * @param {string} name
+   * @returns {this}
+   */
+  emote(id, name) {
+    formatEmote(id, name);
+    return this.#push({
+      type: 'emote',
+      id: String(id),
+      name,
+      url: getEmoteUrl(id),
+    });
+  }
+
+  /**
+   * @param {string} username - With or without the leading `@`.
+   * @returns {this}
+   */
+  mention(username) {
+    return this.#push({ type: 'mention', username: String(username).replace(/^@/, '') });
+  }
+
+  /**
+   * @param {string | URL} url
+   * @returns {this}
+   */
+  link(url) {
+    const href = String(url);
+    if (!/^https?:\/\/\S+$/.test(href)) {
+      throw new KickInputError(`Links must be http(s) URLs without spaces, got ${href}`);
+    }
+    return this.#push({ type: 'link', url: href });
+  }
+
+  /**
+   * Tokens added so far, including the separating spaces.
+   * @returns {KickChatToken[]}
+   */
+  get tokens() {
+    return this.#tokens.map((token) => ({ ...token }));
+  }
+
+  /**
+   * Length of the built content in characters, to compare with `KICK_CHAT_MAX_LENGTH`.
+   * @returns {number}
+   */
+  get length() {
+    return Array.from(this.build()).length;
+  }
+
+  /**
+   * @returns {string} Content ready for `sendChatMessage`.
+   */
+  build() {
+    return formatChatTokens(this.#tokens);
+  }
+
+  toString() {
+    return this.build();
+  }
+
+  #push(token) {
+    const previous = this.#tokens.length > 0 ? formatChatTokens(this.#tokens.slice(-1)) : '';
+    const next = formatChatTokens([token]);
+    if (previous && next && /\S$/.test(previous) && /^[^\s.,!?;:)]/.test(next)) {
+      this.#tokens.push({ type: 'text', text: ' ' });
+    }
+    this.#tokens.push(token);
+    return this;
+  }
+}
+
+function formatEmote(id, name) {
+  if (!/^\d+$/.test(String(id))) {
+    throw new KickInputError(`Emote id must be numeric, got ${id}`);
+  }
+  if (typeof name !== 'string' || !/^[^\]\s:]+$/.test(name)) {
+    throw new KickInputError(`Emote name must be a non-empty string without spaces, ":" or "]", got ${name}`);
+  }
+  return `[emote:${id}:${name}]`;
+}
+
+function formatMention(username) {
+  if (!/^\w{1,25}$/.test(String(username))) {
+    throw new KickInputError(`Invalid username for mention: ${username}`);
+  }
+  return `@${username}`;
+}
@@ -0,0 +1,257 @@
+import { setTimeout as delay } from 'node:timers/promises';
+import {
+  KickInputError,
+  KickNetworkError,
+  KickRateLimitError,
+  KickTimeoutError,
+} from './errors.js';
+
+/** Longest message Kick accepts in chat, in characters. */
+export const KICK_CHAT_MAX_LENGTH = 500;
+
+const DEFAULT_QUEUE_KEY = 'default';
+
+/**
+ * Split chat content into parts of at most `maxLength` characters. Content that fits is
+ * returned unchanged. Longer content is cut at the last whitespace run that fits, which is
+ * dropped at the cut; newlines and spacing inside a part are kept. Words longer than
+ * `maxLength` are cut, and emoji and other astral characters are never split.
+ * @param {string} content
+ * @param {number} [maxLength]
+ * @returns {string[]}
+ */
+export function splitChatMessage(content, maxLength = KICK_CHAT_MAX_LENGTH) {
+  if (!(maxLength >= 1)) throw new KickInputError('maxLength must be a positive number');
+
+  const text = String(content);
+  let chars = Array.from(text);
+  if (chars.length <= maxLength) return [text];
+
+  const parts = [];
+  while (chars.length > maxLength) {
+    let cut = maxLength;
+    while (cut > 0 && !/\s/.test(chars[cut])) cut -= 1;
+
+    if (cut === 0) {
+      parts.push(chars.slice(0, maxLength).join(''));
+      chars = chars.slice(maxLength);
+      continue;
+    }
+
+    let end = cut;
+    while (end > 0 && /\s/.test(chars[end - 1])) end -= 1;
+    let start = cut;
+    while (start < chars.length && /\s/.test(chars[start])) start += 1;
+
+    if (end > 0) parts.push(chars.slice(0, end).join(''));
+    chars = chars.slice(start);
+  }
+  if (chars.some((char) => !/\s/.test(char))) parts.push(chars.join(''));
+  return parts;
+}
+
+// Errors from before the connection was established: the message cannot have reached Kick.
+const PRE_SEND_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+/**
+ * Whether a failed chat send is safe to retry: rate limits, where Kick refused the message,
+ * and network failures that happened before the request was sent. Timeouts, connection
+ * resets and 5xx responses are not retried, since Kick may already have posted the message.
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isRetryableChatError(error) {
+  if (error instanceof KickRateLimitError) return true;
+  if (!(error instanceof KickNetworkError) || error instanceof KickTimeoutError) return false;
+
+  for (let cause = error.cause; cause; cause = cause.cause) {
+    if (PRE_SEND_ERROR_CODES.has(cause.code)) return true;
+  }
+  return false;
+}
+
+/**
+ * Outbound chat queue. Messages are queued per broadcaster and sent one at a time in FIFO
+ * order, at most `messagesPerWindow` per `windowMs` for each channel. Over-length content is
+ * split on word boundaries, and failures that cannot have posted the message are retried.
+ *
+ * Different broadcasters are served independently, so a busy channel never delays another.
+ */
+export class ChatSender {
+  #queues = new Map();
+
+  /**
+   * @param {object} options
+   * @param {import('./client.js').KickApiClient | import('./chat.js').KickChatClient} options.client
+   * @param {number} [options.messagesPerWindow] - Messages allowed per channel in each window.
+   * @param {number} [options.windowMs]
+   * @param {number} [options.maxLength] - Parts longer than this are split.
+   * @param {number} [options.maxRetries] - Retries for rate-limited or unsent parts.
+   * @param {number} [options.retryDelayMs] - Base delay between retries, doubled every attempt.
+   *   A rate-limit `Retry-After` takes precedence.
+   * @param {number} [options.maxQueueSize] - Parts allowed to wait per channel before `send` rejects.
+   * @param {(error: unknown) => boolean} [options.isRetryable]
+   */
+  constructor({
+    client,
+    messagesPerWindow = 4,
+    windowMs = 10_000,
+    maxLength = KICK_CHAT_MAX_LENGTH,
+    maxRetries = 3,
+    retryDelayMs = 1_000,
+    maxQueueSize = 100,
+    isRetryable = isRetryableChatError,
+  }) {
+    if (typeof client?.sendChatMessage !== 'function') {
+      throw new KickInputError('client is required for ChatSender');
+    }
+    if (!(messagesPerWindow >= 1) || !(windowMs >= 0)) {
+      throw new KickInputError('messagesPerWindow must be at least 1 and windowMs non-negative');
+    }
+
+    this.client = client;
+    this.messagesPerWindow = messagesPerWindow;
+    this.windowMs = windowMs;
+    this.maxLength = maxLength;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.maxQueueSize = maxQueueSize;
+    this.isRetryable = isRetryable;
+  }
+
+  /**
+   * Queue a message. Long content is sent as several consecutive messages; every part keeps
+   * the same `type`, `broadcasterUserId` and `replyToMessageId`.
+   * @param {object} params - Same parameters as `KickApiClient#sendChatMessage`.
+   * @param {string} params.content
+   * @param {'bot' | 'user'} [params.type]
+   * @param {number} [params.broadcasterUserId] - Also selects the queue; bot messages without it share one.
+   * @param {string} [params.replyToMessageId]
+   * @returns {Promise<Array<object | null>>} Responses of every part, once the last one was sent.
+   */
+  send(params) {
+    const { content, broadcasterUserId, ...rest } = params ?? {};
+    if (typeof content !== 'string' || content.trim() === '') {
+      return Promise.reject(new KickInputError('content must be a non-empty string'));
+    }
+
+    const key = broadcasterUserId ?? DEFAULT_QUEUE_KEY;
+    const queue = this.#queue(key);
+    const parts = splitChatMessage(content, this.maxLength);
+    if (queue.pending + parts.length > this.maxQueueSize) {
+      return Promise.reject(new KickInputError(`Chat queue for ${key} is full (${this.maxQueueSize} messages)`));
+    }
+
+    return new Promise((resolve, reject) => {
+      queue.items.push({
+        parts,
+        params: { ...rest, broadcasterUserId },
+        resolve,
+        reject,
+      });
+      queue.pending += parts.length;
+      this.#drain(queue);
+    });
+  }
+
+  /**
+   * Messages (counting split parts) waiting or in flight, for one broadcaster or in total.
+   * @param {number | string} [broadcasterUserId]
+   * @returns {number}
+   */
+  queueDepth(broadcasterUserId) {
+    if (broadcasterUserId !== undefined) {
+      return this.#queues.get(broadcasterUserId)?.pending ?? 0;
+    }
+    let total = 0;
+    for (const queue of this.#queues.values()) total += queue.pending;
+    return total;
+  }
+
+  /**
+   * Drop every message that has not started sending yet; their promises reject.
+   * @param {number | string} [broadcasterUserId] - Only clear this channel.
+   * @returns {number} Number of dropped messages.
+   */
+  clear(broadcasterUserId) {
+    let dropped = 0;
+    for (const [key, queue] of this.#queues) {
+      if (broadcasterUserId !== undefined && key !== broadcasterUserId) continue;
+      for (const item of queue.items.splice(0)) {
+        queue.pending -= item.parts.length;
+        item.reject(new KickInputError(`Chat message for ${key} was removed from the queue`));
+        dropped += 1;
+      }
+    }
+    return dropped;
+  }
+
+  #queue(key) {
+    let queue = this.#queues.get(key);
+    if (!queue) {
+      queue = {
+        items: [],
+        pending: 0,
+        running: false,
+        sentAt: [],
+      };
+      this.#queues.set(key, queue);
+    }
+    return queue;
+  }
+
+  async #drain(queue) {
+    if (queue.running) return;
+    queue.running = true;
+
+    try {
+      while (queue.items.length > 0) {
+        const item = queue.items.shift();
+        const results = [];
+        try {
+          for (let index = 0; index < item.parts.length; index += 1) {
+            try {
+              results.push(await this.#sendPart(queue, { ...item.params, content: item.parts[index] }));
+            } finally {
+              queue.pending -= 1;
+            }
+          }
+          item.resolve(results);
+        } catch (error) {
+          // Parts after a failed one are dropped with the rest of the message.
+          queue.pending -= item.parts.length - results.length - 1;
+          item.reject(error);
+        }
+      }
+    } finally {
+      queue.running = false;
+    }
+  }
+
+  async #sendPart(queue, params) {
+    for (let attempt = 0; ; attempt += 1) {
+      await this.#waitForSlot(queue);
+      queue.sentAt.push(Date.now());
+      try {
+        return await this.client.sendChatMessage(params);
+      } catch (error) {
+        if (attempt >= this.maxRetries || !this.isRetryable(error)) throw error;
+        await delay(error?.retryAfterMs ?? this.retryDelayMs * 2 ** attempt);
+      }
+    }
+  }
+
+  async #waitForSlot(queue) {
+    for (;;) {
+      const now = Date.now();
+      while (queue.sentAt.length > 0 && queue.sentAt[0] <= now - this.windowMs) queue.sentAt.shift();
+      if (queue.sentAt.length < this.messagesPerWindow) return;
+      await delay(queue.sentAt[0] + this.windowMs - now);
+    }
+  }
+}
@@ -1,4 +1,52 @@
-import { KickHttpClient } from './http.js';
+import { KickInputError } from './errors.js';
+import { KickHttpClient, unwrapData } from './http.js';
+
+const CHAT_MESSAGE_TYPES = Object.freeze(['bot', 'user']);
+
+/**
+ * Validate `sendChatMessage` parameters and build the `/chat` request body. Shared by
+ * `KickApiClient` and `KickChatClient` so both send exactly the same payload.
+ * @param {object} params
+ * @param {string} params.content
+ * @param {'bot' | 'user'} [params.type]
+ * @param {number} [params.broadcasterUserId] - Required when `type` is `user`.
+ * @param {string} [params.replyToMessageId]
+ * @returns {{ body: object, requestOptions: object }} The body and the remaining per-call request options.
+ */
+export function buildChatMessageRequest(params) {
+  const {
+    content,
+    type = 'bot',
+    broadcasterUserId,
+    replyToMessageId,
+    ...requestOptions
+  } = params ?? {};
+
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new KickInputError('content must be a non-empty string');
+  }
+  if (!CHAT_MESSAGE_TYPES.includes(type)) {
+    throw new KickInputError('type must be either "bot" or "user"');
+  }
+  if (type === 'user' && typeof broadcasterUserId !== 'number') {
+    throw new KickInputError('broadcasterUserId is required when sending as a user');
+  }
+
+  const body = {
+    content,
+    type,
+  };
+
+  if (typeof broadcasterUserId === 'number') {
+    body.broadcaster_user_id = broadcasterUserId;
+  }
+
+  if (replyToMessageId) {
+    body.reply_to_message_id = replyToMessageId;
+  }
+
+  return { body, requestOptions };
+}
 
 /**
  * Focused helper around the `/chat` endpoint.
@@ -10,16 +58,30 @@ export class KickChatClient {
    * @param {string} [options.baseUrl]
    * @param {(input: RequestInfo, init?: RequestInit) => Promise<Response>} [options.fetchImpl]
    * @param {string} [options.userAgent]
+   * @param {Partial<import('./http.js').KickRetryPolicy> | false} [options.retry]
+   * @param {number | null} [options.timeoutMs]
+   * @param {import('./middleware.js').KickMiddlewarePipeline | import('./middleware.js').KickMiddleware[]} [options.middleware]
+   * @param {import('./token-manager.js').KickTokenManager} [options.tokenManager]
    */
   constructor(options = {}) {
-    const { accessToken } = options;
-    if (!accessToken) {
-      throw new Error('accessToken is required for KickChatClient');
+    const { accessToken, tokenManager } = options;
+    if (!accessToken && !tokenManager) {
+      throw new KickInputError('accessToken or tokenManager is required for KickChatClient');
     }
 
     this.http = new KickHttpClient(options);
   }
 
+  /**
+   * Register a middleware that wraps every request attempt.
+   * @param {import('./middleware.js').KickMiddleware} middleware
+   * @returns {this}
+   */
+  use(middleware) {
+    this.http.use(middleware);
+    return this;
+  }
+
   get baseUrl() {
     return this.http.baseUrl;
   }
@@ -33,53 +95,48 @@ export class KickChatClient {
   }
 
   /**
-   * Sends a chat message to Kick.
-   * @param {object} options
-   * @param {string} options.content
-   * @param {'bot' | 'user'} [options.type]
-   * @param {number} [options.broadcasterUserId]
-   * @param {string} [options.replyToMessageId]
-   * @param {AbortSignal} [options.signal]
+   * Sends a chat message to Kick. Same parameters and result as `KickApiClient#sendChatMessage`.
+   * @param {object} params
+   * @param {string} params.content
+   * @param {'bot' | 'user'} [params.type]
+   * @param {number} [params.broadcasterUserId]
+   * @param {string} [params.replyToMessageId]
+   * @param {AbortSignal} [params.signal]
+   * @param {Partial<import('./http.js').KickRetryPolicy> | false} [params.retry]
+   * @param {number | null} [params.timeoutMs]
    * @returns {Promise<object | null>}
    */
-  async sendMessage({
-    content,
-    type = 'bot',
-    broadcasterUserId,
-    replyToMessageId,
-    signal,
-  }) {
-    if (typeof content !== 'string' || content.trim() === '') {
-      throw new Error('content must be a non-empty string');
-    }
-    if (!['bot', 'user'].includes(type)) {
-      throw new Error('type must be either "bot" or "user"');
-    }
-    if (type === 'user' && typeof broadcasterUserId !== 'number') {
-      throw new Error('broadcasterUserId is required when sending as a user');
-    }
-
-    const body = {
-      content,
-      type,
-    };
-
-    if (typeof broadcasterUserId === 'number') {
-      body.broadcaster_user_id = broadcasterUserId;
-    }
-
-    if (replyToMessageId) {
-      body.reply_to_message_id = replyToMessageId;
-    }
+  async sendChatMessage(params) {
+    const { body, requestOptions: { signal, retry, timeoutMs } } = buildChatMessageRequest(params);
 
     const response = await this.http.request({
       method: 'POST',
       path: '/chat',
       body,
       signal,
+      retry,
+      timeoutMs,
     });
 
-    return response?.data ?? response ?? null;
+    return unwrapData(response);
+  }
+
+  /**
+   * Alias of `sendChatMessage`.
+   * @param {Parameters<KickChatClient['sendChatMessage']>[0]} params
+   * @returns {Promise<object | null>}
+   */
+  sendMessage(params) {
+    return this.sendChatMessage(params);
+  }
+
+  /**
+   * Chat helper bound to one broadcaster; see `ChatSession`.
+   * @param {Omit<ConstructorParameters<typeof ChatSession>[0], 'client'>} options
+   * @returns {ChatSession}
+   */
+  createChatSession(options) {
+    return new ChatSession({ ...options, client: this });
   }
 
   /**
@@ -90,7 +147,7 @@ export class KickChatClient {
    */
   async sendRawMessage(body, signal) {
     if (!body || typeof body !== 'object') {
-      throw new Error('body must be an object when sending a raw message');
+      throw new KickInputError('body must be an object when sending a raw message');
     }
 
     const response = await this.http.request({
@@ -100,6 +157,115 @@ export class KickChatClient {
       signal,
     });
 
-    return response?.data ?? response ?? null;
+    return unwrapData(response);
+  }
+}
+
+/**
+ * Chat helper bound to one broadcaster. Content may contain `{placeholders}`: `{channel}`
+ * is the session's channel name, `{user}` the chatter being replied to, and any other name is
+ * looked up in the variables passed to the call or to the session. Unknown placeholders are
+ * left untouched.
+ *
+ * Create one with `client.createChatSession({ broadcasterUserId })` on `KickApiClient` or
+ * `KickChatClient`.
+ */
+export class ChatSession {
+  /**
+   * @param {object} options
+   * @param {{ sendChatMessage: Function }} options.client
+   * @param {number} options.broadcasterUserId
+   * @param {string} [options.channel] - Channel name used for `{channel}`, usually the slug.
+   * @param {'bot' | 'user'} [options.type] - Message type used by `say` and `reply`.
+   * @param {import('./chat-sender.js').ChatSender} [options.sender] - Queue messages through this sender.
+   * @param {Record<string, unknown>} [options.variables] - Defaults for every template.
+   */
+  constructor({
+    client,
+    broadcasterUserId,
+    channel,
+    type = 'bot',
+    sender,
+    variables = {},
+  }) {
+    if (typeof client?.sendChatMessage !== 'function' && !sender) {
+      throw new KickInputError('client is required for ChatSession');
+    }
+    if (typeof broadcasterUserId !== 'number') {
+      throw new KickInputError('broadcasterUserId must be a number');
+    }
+    if (!CHAT_MESSAGE_TYPES.includes(type)) {
+      throw new KickInputError('type must be either "bot" or "user"');
+    }
+
+    this.client = client;
+    this.broadcasterUserId = broadcasterUserId;
+    this.channel = channel ?? null;
+    this.type = type;
+    this.sender = sender ?? null;
+    this.variables = variables;
+  }
+
+  /**
+   * Fill the placeholders of a template.
+   * @param {string} template
+   * @param {Record<string, unknown>} [variables]
+   * @returns {string}
+   */
+  format(template, variables = {}) {
+    const values = { channel: this.channel, ...this.variables, ...variables };
+    return String(template).replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = values[name];
+      return value === undefined || value === null ? placeholder : String(value);
+    });
+  }
+
+  /**
+   * Post a message to the channel.
+   * @param {string} content
+   * @param {Record<string, unknown>} [variables]
+   * @returns {Promise<unknown>}
+   */
+  say(content, variables) {
+    return this.sayAs(this.type, content, variables);
+  }
+
+  /**
+   * Post a message as the given type regardless of the session default.
+   * @param {'bot' | 'user'} type
+   * @param {string} content
+   * @param {Record<string, unknown>} [variables]
+   * @returns {Promise<unknown>}
+   */
+  sayAs(type, content, variables) {
+    return this.#send({ type, content: this.format(content, variables) });
+  }
+
+  /**
+   * Reply to a chat message. Pass the normalized `chat.message.sent` payload instead of an id
+   * to fill `{user}` with the sender's username.
+   * @param {string | import('./events.js').KickChatMessageEvent} message - Message id or chat message.
+   * @param {string} content
+   * @param {Record<string, unknown>} [variables]
+   * @returns {Promise<unknown>}
+   */
+  reply(message, content, variables) {
+    const isEvent = message !== null && typeof message === 'object';
+    const replyToMessageId = isEvent ? message.messageId : message;
+    if (!replyToMessageId) {
+      throw new KickInputError('reply needs a message id');
+    }
+
+    const user = isEvent ? message.sender?.username : undefined;
+    return this.#send({
+      type: this.type,
+      content: this.format(content, { user, ...variables }),
+      replyToMessageId,
+    });
+  }
+
+  #send(params) {
+    const message = { ...params, broadcasterUserId: this.broadcasterUserId };
+    return this.sender ? this.sender.send(message) : this.client.sendChatMessage(message);
   }
 }
@@ -1,18 +1,49 @@
-import { KickHttpClient, DEFAULT_API_BASE_URL } from './http.js';
+import crypto from 'node:crypto';
+import { KickAuthenticationError, KickForbiddenError, KickInputError } from './errors.js';
+import { ChatSession, buildChatMessageRequest } from './chat.js';
+import { KickHttpClient, DEFAULT_API_BASE_URL, unwrapData as unwrapResponseData } from './http.js';
+import { createPaginate } from './paginate.js';
+import { findMissingScopes, getRequiredScopes, parseScopes } from './scopes.js';
+import { reconcileSubscriptions } from './subscriptions.js';
+
+const DEFAULT_SCOPE_CHECK_TTL_MS = 5 * 60 * 1000;
 
 /**
  * High-level wrapper that exposes every endpoint in the Kick Public API.
  */
 export class KickApiClient {
+  #grantedScopes = new Map();
+
   /**
    * @param {object} [options]
    * @param {string} [options.accessToken]
    * @param {string} [options.baseUrl]
    * @param {(input: RequestInfo, init?: RequestInit) => Promise<Response>} [options.fetchImpl]
    * @param {string} [options.userAgent]
+   * @param {Partial<import('./http.js').KickRetryPolicy> | false} [options.retry]
+   * @param {number | null} [options.timeoutMs]
+   * @param {import('./middleware.js').KickMiddlewarePipeline | import('./middleware.js').KickMiddleware[]} [options.middleware]
+   * @param {import('./token-manager.js').KickTokenManager} [options.tokenManager] - Refreshes the token ahead of expiry and once on 401.
+   * @param {boolean | { ttlMs?: number }} [options.scopeCheck] - Before each call, compare the scopes the
+   *   method needs (`KICK_METHOD_SCOPES`) with a cached `introspectToken` result and throw
+   *   `KickForbiddenError` naming the missing scope instead of sending the request.
+   *
+   * Every endpoint method also accepts per-call request options next to its own
+   * parameters: `signal`, `retry` and `timeoutMs` (override the client defaults).
    */
   constructor(options = {}) {
     this.http = new KickHttpClient(options);
+
+    const { scopeCheck = false } = options;
+    this.scopeCheck = scopeCheck
+      ? { ttlMs: DEFAULT_SCOPE_CHECK_TTL_MS, ...(typeof scopeCheck === 'object' ? scopeCheck : {}) }
+      : null;
+
+    /**
+     * Async iterators over list endpoints, e.g. `client.paginate.searchCategories({ query })`.
+     * Accepts the method's usual parameters plus `maxItems` and `maxPages`.
+     */
+    this.paginate = createPaginate(this);
   }
 
   /**
@@ -24,82 +55,118 @@ export class KickApiClient {
   }
 
   /**
-   * Base URL accessor mainly for tests or custom deployments.
+   * Register a middleware that wraps every request attempt.
+   * @param {import('./middleware.js').KickMiddleware} middleware
+   * @returns {this}
    */
-  get baseUrl() {
-    return this.http.baseUrl ?? DEFAULT_API_BASE_URL;
+  use(middleware) {
+    this.http.use(middleware);
+    return this;
   }
 
-  // --- Chat ---
-  async sendChatMessage(params) {
-    const {
-      content,
-      type = 'bot',
-      broadcasterUserId,
-      replyToMessageId,
-      signal,
-    } = params ?? {};
-
-    if (typeof content !== 'string' || content.trim() === '') {
-      throw new Error('content must be a non-empty string');
+  /**
+   * Scopes granted to the current access token. Introspection results are cached per token
+   * for `scopeCheck.ttlMs` (five minutes by default) and concurrent callers share one lookup.
+   * @param {object} [options]
+   * @param {boolean} [options.refresh] - Ignore the cache and introspect again.
+   * @returns {Promise<string[]>}
+   */
+  async getGrantedScopes({ refresh = false } = {}) {
+    const accessToken = this.http.tokenManager
+      ? await this.http.tokenManager.getAccessToken()
+      : this.http.accessToken;
+    // Tokens are fingerprinted so the cache never holds raw credentials.
+    const key = crypto.createHash('sha256').update(accessToken ?? '').digest('hex').slice(0, 16);
+    const now = Date.now();
+
+    for (const [cachedKey, entry] of this.#grantedScopes) {
+      if (entry.expiresAt <= now) this.#grantedScopes.delete(cachedKey);
     }
-    if (!['bot', 'user'].includes(type)) {
-      throw new Error('type must be either "bot" or "user"');
+
+    const cached = this.#grantedScopes.get(key);
+    if (cached && !refresh) {
+      return [...await cached.scopes];
     }
-    if (type === 'user' && typeof broadcasterUserId !== 'number') {
-      throw new Error('broadcasterUserId is required when sending as a user');
+
+    const scopes = this.introspectToken().then((result) => {
+      if (result?.active === false) {
+        throw new KickAuthenticationError('The access token is no longer active');
+      }
+      return parseScopes(result?.scope);
+    });
+    const entry = { scopes, expiresAt: now + (this.scopeCheck?.ttlMs ?? DEFAULT_SCOPE_CHECK_TTL_MS) };
+    this.#grantedScopes.set(key, entry);
+
+    try {
+      return [...await scopes];
+    } catch (error) {
+      if (this.#grantedScopes.get(key) === entry) this.#grantedScopes.delete(key);
+      throw error;
     }
+  }
 
-    const body = {
-      content,
-      type,
-    };
+  /**
+   * Base URL accessor mainly for tests or custom deployments.
+   */
+  get baseUrl() {
+    return this.http.baseUrl ?? DEFAULT_API_BASE_URL;
+  }
 
-    if (typeof broadcasterUserId === 'number') {
-      body.broadcaster_user_id = broadcasterUserId;
-    }
+  // --- Chat ---
+  async sendChatMessage(params) {
+    const { body, requestOptions } = buildChatMessageRequest(params);
 
-    if (replyToMessageId) {
-      body.reply_to_message_id = replyToMessageId;
-    }
+    return this.#request(
+      'POST',
+      '/chat',
+      { ...requestOptions, body },
+      { unwrapData: true, operation: 'sendChatMessage' },
+    );
+  }
 
-    return this.#request('POST', '/chat', { body, signal }, { unwrapData: true });
+  /**
+   * Chat helper bound to one broadcaster; see `ChatSession`.
+   * @param {Omit<ConstructorParameters<typeof ChatSession>[0], 'client'>} options
+   * @returns {ChatSession}
+   */
+  createChatSession(options) {
+    return new ChatSession({ ...options, client: this });
   }
 
   // --- Categories ---
-  async searchCategories({ query, page, signal } = {}) {
+  async searchCategories({ query, page, ...requestOptions } = {}) {
     if (typeof query !== 'string' || query.trim() === '') {
-      throw new Error('query must be a non-empty string');
+      throw new KickInputError('query must be a non-empty string');
     }
 
     return this.#request(
       'GET',
       '/categories',
-      { query: { q: query, page }, signal },
-      { unwrapData: true },
+      { ...requestOptions, query: { q: query, page } },
+      { unwrapData: true, operation: 'searchCategories' },
     );
   }
 
-  async getCategoryById(categoryId, { signal } = {}) {
+  async getCategoryById(categoryId, requestOptions = {}) {
     if (categoryId === undefined || categoryId === null) {
-      throw new Error('categoryId is required');
+      throw new KickInputError('categoryId is required');
     }
 
     return this.#request(
       'GET',
       `/categories/${categoryId}`,
-      { signal },
-      { unwrapData: true },
+      requestOptions,
+      { unwrapData: true, operation: 'getCategoryById' },
     );
   }
 
   // --- Channels ---
-  async getChannels({ broadcasterUserIds, slugs, signal } = {}) {
+  async getChannels({ broadcasterUserIds, slugs, ...requestOptions } = {}) {
     const hasBroadcasters = Array.isArray(broadcasterUserIds) && broadcasterUserIds.length > 0;
     const hasSlugs = Array.isArray(slugs) && slugs.length > 0;
 
     if (hasBroadcasters && hasSlugs) {
-      throw new Error('broadcasterUserIds and slugs cannot be provided together');
+      throw new KickInputError('broadcasterUserIds and slugs cannot be provided together');
     }
 
     const query = {};
@@ -110,14 +177,19 @@ export class KickApiClient {
       query.slug = slugs;
     }
 
-    return this.#request('GET', '/channels', { query, signal }, { unwrapData: true });
+    return this.#request(
+      'GET',
+      '/channels',
+      { ...requestOptions, query },
+      { unwrapData: true, operation: 'getChannels' },
+    );
   }
 
   async updateChannelMetadata({
     categoryId,
     streamTitle,
     customTags,
-    signal,
+    ...requestOptions
   } = {}) {
     const body = {};
     if (categoryId !== undefined) body.category_id = categoryId;
@@ -125,14 +197,19 @@ export class KickApiClient {
     if (Array.isArray(customTags)) body.custom_tags = customTags;
 
     if (Object.keys(body).length === 0) {
-      throw new Error('At least one of categoryId, streamTitle, or customTags must be provided');
+      throw new KickInputError('At least one of categoryId, streamTitle, or customTags must be provided');
     }
 
-    await this.#request('PATCH', '/channels', { body, signal }, { unwrapData: false });
+    await this.#request(
+      'PATCH',
+      '/channels',
+      { ...requestOptions, body },
+      { unwrapData: false, operation: 'updateChannelMetadata' },
+    );
   }
 
   // --- Events ---
-  async listEventSubscriptions({ broadcasterUserId, signal } = {}) {
+  async listEventSubscriptions({ broadcasterUserId, ...requestOptions } = {}) {
     const query = {};
     if (broadcasterUserId !== undefined) {
       query.broadcaster_user_id = broadcasterUserId;
@@ -141,8 +218,8 @@ export class KickApiClient {
     return this.#request(
       'GET',
       '/events/subscriptions',
-      { query, signal },
-      { unwrapData: true },
+      { ...requestOptions, query },
+      { unwrapData: true, operation: 'listEventSubscriptions' },
     );
   }
 
@@ -150,25 +227,25 @@ export class KickApiClient {
     broadcasterUserId,
     method = 'webhook',
     events,
-    signal,
+    ...requestOptions
   } = {}) {
     if (!Array.isArray(events) || events.length === 0) {
-      throw new Error('events must be a non-empty array');
+      throw new KickInputError('events must be a non-empty array');
     }
 
     const body = {
       method,
       events: events.map((event) => {
         if (!event || typeof event !== 'object') {
-          throw new Error('Each event must be an object with name and version');
+          throw new KickInputError('Each event must be an object with name and version');
         }
 
         const { name, version } = event;
         if (typeof name !== 'string' || name.trim() === '') {
-          throw new Error('Event name must be a non-empty string');
+          throw new KickInputError('Event name must be a non-empty string');
         }
         if (typeof version !== 'number') {
-          throw new Error('Event version must be a number');
+          throw new KickInputError('Event version must be a number');
         }
         return { name, version };
       }),
@@ -181,24 +258,33 @@ export class KickApiClient {
     return this.#request(
       'POST',
       '/events/subscriptions',
-      { body, signal },
-      { unwrapData: true },
+      { ...requestOptions, body },
+      { unwrapData: true, operation: 'createEventSubscriptions' },
     );
   }
 
-  async deleteEventSubscriptions({ ids, signal } = {}) {
+  async deleteEventSubscriptions({ ids, ...requestOptions } = {}) {
     if (!Array.isArray(ids) || ids.length === 0) {
-      throw new Error('ids must be a non-empty array of subscription ids');
+      throw new KickInputError('ids must be a non-empty array of subscription ids');
     }
 
     await this.#request(
       'DELETE',
       '/events/subscriptions',
-      { query: { id: ids }, signal },
-      { unwrapData: false },
+      { ...requestOptions, query: { id: ids } },
+      { unwrapData: false, operation: 'deleteEventSubscriptions' },
     );
   }
 
+  /**
+   * Create, upgrade and delete subscriptions until they match `events`; see `reconcileSubscriptions`.
+   * @param {Omit<Parameters<typeof reconcileSubscriptions>[0], 'client'>} options
+   * @returns {Promise<import('./subscriptions.js').KickSubscriptionReport>}
+   */
+  reconcileSubscriptions(options) {
+    return reconcileSubscriptions({ ...options, client: this });
+  }
+
   // --- Livestreams ---
   async getLivestreams({
     broadcasterUserIds,
@@ -206,7 +292,7 @@ export class KickApiClient {
     language,
     limit,
     sort,
-    signal,
+    ...requestOptions
   } = {}) {
     const query = {};
     if (Array.isArray(broadcasterUserIds) && broadcasterUserIds.length > 0) {
@@ -217,11 +303,21 @@ export class KickApiClient {
     if (limit !== undefined) query.limit = limit;
     if (sort !== undefined) query.sort = sort;
 
-    return this.#request('GET', '/livestreams', { query, signal }, { unwrapData: true });
+    return this.#request(
+      'GET',
+      '/livestreams',
+      { ...requestOptions, query },
+      { unwrapData: true, operation: 'getLivestreams' },
+    );
   }
 
-  async getLivestreamStats({ signal } = {}) {
-    return this.#request('GET', '/livestreams/stats', { signal }, { unwrapData: true });
+  async getLivestreamStats(requestOptions = {}) {
+    return this.#request(
+      'GET',
+      '/livestreams/stats',
+      requestOptions,
+      { unwrapData: true, operation: 'getLivestreamStats' },
+    );
   }
 
   // --- Moderation ---
@@ -230,13 +326,13 @@ export class KickApiClient {
     userId,
     duration,
     reason,
-    signal,
+    ...requestOptions
   } = {}) {
     if (typeof broadcasterUserId !== 'number') {
-      throw new Error('broadcasterUserId is required and must be a number');
+      throw new KickInputError('broadcasterUserId is required and must be a number');
     }
     if (typeof userId !== 'number') {
-      throw new Error('userId is required and must be a number');
+      throw new KickInputError('userId is required and must be a number');
     }
 
     const body = {
@@ -250,21 +346,21 @@ export class KickApiClient {
     return this.#request(
       'POST',
       '/moderation/bans',
-      { body, signal },
-      { unwrapData: true },
+      { ...requestOptions, body },
+      { unwrapData: true, operation: 'banUser' },
     );
   }
 
   async unbanUser({
     broadcasterUserId,
     userId,
-    signal,
+    ...requestOptions
   } = {}) {
     if (typeof broadcasterUserId !== 'number') {
-      throw new Error('broadcasterUserId is required and must be a number');
+      throw new KickInputError('broadcasterUserId is required and must be a number');
     }
     if (typeof userId !== 'number') {
-      throw new Error('userId is required and must be a number');
+      throw new KickInputError('userId is required and must be a number');
     }
 
     const body = {
@@ -275,13 +371,13 @@ export class KickApiClient {
     return this.#request(
       'DELETE',
       '/moderation/bans',
-      { body, signal },
-      { unwrapData: true },
+      { ...requestOptions, body },
+      { unwrapData: true, operation: 'unbanUser' },
     );
   }
 
   // --- Kicks ---
-  async getKicksLeaderboard({ top, signal } = {}) {
+  async getKicksLeaderboard({ top, ...requestOptions } = {}) {
     const query = {};
     if (top !== undefined) {
       query.top = top;
@@ -290,52 +386,80 @@ export class KickApiClient {
     return this.#request(
       'GET',
       '/kicks/leaderboard',
-      { query, signal },
-      { unwrapData: true },
+      { ...requestOptions, query },
+      { unwrapData: true, operation: 'getKicksLeaderboard' },
     );
   }
 
   // --- Public Key ---
-  async getPublicKey({ signal } = {}) {
-    return this.#request('GET', '/public-key', { signal }, { unwrapData: true });
+  async getPublicKey(requestOptions = {}) {
+    return this.#request(
+      'GET',
+      '/public-key',
+      requestOptions,
+      { unwrapData: true, operation: 'getPublicKey' },
+    );
   }
 
   // --- Users ---
-  async getUsers({ ids, signal } = {}) {
+  async getUsers({ ids, ...requestOptions } = {}) {
     const query = {};
     if (Array.isArray(ids) && ids.length > 0) {
       query.id = ids;
     }
 
-    return this.#request('GET', '/users', { query, signal }, { unwrapData: true });
+    return this.#request(
+      'GET',
+      '/users',
+      { ...requestOptions, query },
+      { unwrapData: true, operation: 'getUsers' },
+    );
   }
 
-  async introspectToken({ signal } = {}) {
+  async introspectToken(requestOptions = {}) {
     return this.#request(
       'POST',
       '/token/introspect',
-      { signal },
-      { unwrapData: true },
+      requestOptions,
+      { unwrapData: true, operation: 'introspectToken' },
     );
   }
 
-  async #request(method, path, { query, body, signal } = {}, { unwrapData }) {
+  async #request(method, path, {
+    query,
+    body,
+    signal,
+    retry,
+    timeoutMs,
+  } = {}, { unwrapData, operation }) {
+    if (this.scopeCheck && operation) {
+      await this.#assertScopes(operation);
+    }
+
     const response = await this.http.request({
       method,
       path,
       query,
       body,
       signal,
+      retry,
+      timeoutMs,
     });
 
-    if (!unwrapData) {
-      return response;
-    }
+    return unwrapData ? unwrapResponseData(response) : response;
+  }
 
-    if (response && typeof response === 'object' && 'data' in response) {
-      return response.data;
+  async #assertScopes(operation) {
+    const required = getRequiredScopes(operation);
+    if (required.length === 0) return;
+
+    const missingScopes = findMissingScopes(await this.getGrantedScopes(), required);
+    if (missingScopes.length > 0) {
+      const plural = missingScopes.length > 1 ? 'scopes' : 'scope';
+      throw new KickForbiddenError(
+        `${operation} requires the ${missingScopes.join(', ')} ${plural}, which the access token was not granted`,
+        { missingScopes },
+      );
     }
-
-    return response ?? null;
   }
 }
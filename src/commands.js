@@ -0,0 +1,488 @@
+import { KICK_CHAT_MAX_LENGTH } from './chat-sender.js';
+import { KickCommandUsageError, KickInputError } from './errors.js';
+
+/**
+ * Permission levels from lowest to highest. A command is available to its level and every
+ * level above it.
+ */
+export const COMMAND_PERMISSION_LEVELS = Object.freeze(['everyone', 'subscriber', 'vip', 'moderator', 'broadcaster']);
+
+const BADGE_LEVELS = Object.freeze({
+  broadcaster: 'broadcaster',
+  moderator: 'moderator',
+  vip: 'vip',
+  subscriber: 'subscriber',
+  founder: 'subscriber',
+  og: 'subscriber',
+});
+
+const ARGUMENT_TYPES = Object.freeze(['string', 'number', 'integer', 'boolean', 'user', 'rest']);
+
+/**
+ * @typedef {object} CommandArgument
+ * @property {string} name
+ * @property {'string' | 'number' | 'integer' | 'boolean' | 'user' | 'rest'} [type] - `rest` captures
+ *   the remaining text verbatim and must be last; `user` strips a leading `@`.
+ * @property {boolean} [optional]
+ * @property {unknown} [default] - Value used when an optional argument is missing.
+ * @property {unknown[]} [choices] - Allowed values after conversion.
+ */
+
+/**
+ * @typedef {object} CommandContext
+ * @property {import('./events.js').KickChatMessageEvent} message
+ * @property {import('./events.js').KickWebhookEvent | undefined} event
+ * @property {CommandDefinition} command
+ * @property {string} invokedAs - Name or alias the user typed.
+ * @property {Record<string, unknown>} args - Parsed arguments keyed by name.
+ * @property {string} argsText - Everything after the command name.
+ * @property {string} permission - Sender's permission level.
+ * @property {import('./client.js').KickApiClient} client
+ * @property {(content: string) => Promise<unknown>} reply - Reply to the triggering message.
+ * @property {(content: string) => Promise<unknown>} say - Post to the channel without replying.
+ */
+
+/**
+ * @typedef {object} CommandDefinition
+ * @property {string} name
+ * @property {string[]} [aliases]
+ * @property {string} [description]
+ * @property {CommandArgument[]} [args]
+ * @property {string} [permission] - One of `COMMAND_PERMISSION_LEVELS`; defaults to `everyone`.
+ * @property {number} [cooldownMs] - Per user and channel.
+ * @property {number} [globalCooldownMs] - Per channel, shared by every user.
+ * @property {(ctx: CommandContext) => unknown} handler
+ */
+
+/**
+ * Dispatches chat commands such as `!title "Speedrun night"` from `chat.message.sent` events.
+ *
+ * Handles aliases, quoted and typed arguments, per-user and global cooldowns, badge-based
+ * permissions, and help text. Pass it a normalized chat message (as produced by
+ * `KickEventRouter`), e.g. `router.on('chat.message.sent', (message) => commands.handle(message))`.
+ */
+export class CommandRouter {
+  #commands = new Map();
+
+  #lookup = new Map();
+
+  #cooldowns = new Map();
+
+  /**
+   * @param {object} options
+   * @param {import('./client.js').KickApiClient | ((message: object) => import('./client.js').KickApiClient)} options.client
+   *   Client used for replies, or a function picking one per message (multi-channel bots).
+   * @param {import('./chat-sender.js').ChatSender | ((message: object) => import('./chat-sender.js').ChatSender)} [options.sender]
+   *   Queue replies through a `ChatSender` instead of calling the client directly; long replies are split instead of truncated.
+   * @param {string} [options.prefix]
+   * @param {'bot' | 'user'} [options.replyType] - Message type used for replies.
+   * @param {string | false} [options.helpCommand] - Name of the built-in help command, or `false`.
+   * @param {string} [options.cooldownBypass] - Permission level that ignores cooldowns.
+   * @param {(ctx: CommandContext, remainingMs: number) => unknown} [options.onCooldown] - Called instead of the handler while cooling down.
+   * @param {(ctx: CommandContext) => unknown} [options.onDenied] - Called when the sender lacks permission.
+   * @param {(ctx: CommandContext, error: KickCommandUsageError) => unknown} [options.onUsageError]
+   *   Called when arguments do not parse; replies with the usage line by default.
+   * @param {(error: unknown, ctx: CommandContext) => unknown} [options.onError] - Handler failures; rethrown when omitted.
+   */
+  constructor({
+    client,
+    sender,
+    prefix = '!',
+    replyType = 'bot',
+    helpCommand = 'help',
+    cooldownBypass = 'moderator',
+    onCooldown,
+    onDenied,
+    onUsageError = (ctx, error) => ctx.reply(`${error.message}. Usage: ${this.usage(ctx.command.name)}`),
+    onError,
+  }) {
+    if (!client) throw new KickInputError('client is required for CommandRouter');
+    if (!prefix) throw new KickInputError('prefix must be a non-empty string');
+    assertPermissionLevel(cooldownBypass);
+
+    this.client = client;
+    this.sender = sender ?? null;
+    this.prefix = prefix;
+    this.replyType = replyType;
+    this.cooldownBypass = cooldownBypass;
+    this.onCooldown = onCooldown;
+    this.onDenied = onDenied;
+    this.onUsageError = onUsageError;
+    this.onError = onError;
+
+    if (helpCommand) {
+      this.register({
+        name: helpCommand,
+        description: 'List commands or describe one',
+        args: [{ name: 'command', optional: true }],
+        handler: (ctx) => ctx.reply(ctx.args.command
+          ? this.usage(ctx.args.command, { detailed: true }) ?? `Unknown command: ${ctx.args.command}`
+          : this.help({ permission: ctx.permission })),
+      });
+    }
+  }
+
+  /**
+   * Register a command.
+   * @param {CommandDefinition} definition
+   * @returns {this}
+   */
+  register(definition) {
+    const {
+      name,
+      aliases = [],
+      args = [],
+      permission = 'everyone',
+      handler,
+    } = definition ?? {};
+
+    if (typeof name !== 'string' || !/^\S+$/.test(name)) {
+      throw new KickInputError('Command name must be a non-empty string without spaces');
+    }
+    if (typeof handler !== 'function') {
+      throw new KickInputError(`Command ${name} needs a handler function`);
+    }
+    assertPermissionLevel(permission);
+    args.forEach((arg, index) => {
+      if (!arg?.name) throw new KickInputError(`Argument ${index + 1} of ${name} needs a name`);
+      if (arg.type !== undefined && !ARGUMENT_TYPES.includes(arg.type)) {
+        throw new KickInputError(`Unknown type "${arg.type}" for argument ${arg.name} of ${name}`);
+      }
+      if (arg.type === 'rest' && index !== args.length - 1) {
+        throw new KickInputError(`The rest argument of ${name} must be the last one`);
+      }
+    });
+
+    const keys = [name, ...aliases].map((key) => key.toLowerCase());
+    for (const key of keys) {
+      if (this.#lookup.has(key)) {
+        throw new KickInputError(`Command or alias "${key}" is already registered`);
+      }
+    }
+
+    const command = { ...definition, aliases, args, permission };
+    this.#commands.set(name.toLowerCase(), command);
+    for (const key of keys) this.#lookup.set(key, command);
+    return this;
+  }
+
+  /**
+   * Remove a command and its aliases.
+   * @param {string} name
+   * @returns {boolean}
+   */
+  unregister(name) {
+    const command = this.#lookup.get(String(name).toLowerCase());
+    if (!command) return false;
+
+    this.#commands.delete(command.name.toLowerCase());
+    for (const key of [command.name, ...command.aliases]) this.#lookup.delete(key.toLowerCase());
+    return true;
+  }
+
+  /**
+   * Look a command up by name or alias.
+   * @param {string} nameOrAlias
+   * @returns {CommandDefinition | null}
+   */
+  get(nameOrAlias) {
+    let key = String(nameOrAlias);
+    if (key.startsWith(this.prefix)) key = key.slice(this.prefix.length);
+    return this.#lookup.get(key.toLowerCase()) ?? null;
+  }
+
+  /**
+   * One-line list of the commands available at a permission level, ready to post in chat.
+   * @param {object} [options]
+   * @param {string} [options.permission] - Only list commands this level may run.
+   * @returns {string}
+   */
+  help({ permission = 'broadcaster' } = {}) {
+    const available = [...this.#commands.values()]
+      .filter((command) => hasPermission(permission, command.permission))
+      .map((command) => `${this.prefix}${command.name}`);
+    return truncate(`Commands: ${available.join(', ')}`);
+  }
+
+  /**
+   * Usage line for a command, e.g. `!title <title...>`.
+   * @param {string} nameOrAlias
+   * @param {object} [options]
+   * @param {boolean} [options.detailed] - Append the description and aliases.
+   * @returns {string | null}
+   */
+  usage(nameOrAlias, { detailed = false } = {}) {
+    const command = this.get(nameOrAlias);
+    if (!command) return null;
+
+    const args = command.args.map((arg) => {
+      const label = arg.type === 'rest' ? `${arg.name}...` : arg.name;
+      return arg.optional ? `[${label}]` : `<${label}>`;
+    });
+    let text = [`${this.prefix}${command.name}`, ...args].join(' ');
+    if (detailed) {
+      if (command.description) text += ` - ${command.description}`;
+      if (command.aliases.length > 0) {
+        text += ` (aliases: ${command.aliases.map((alias) => `${this.prefix}${alias}`).join(', ')})`;
+      }
+    }
+    return truncate(text);
+  }
+
+  /**
+   * Run the command in a chat message, if it contains one.
+   * @param {import('./events.js').KickChatMessageEvent} message
+   * @param {import('./events.js').KickWebhookEvent} [event]
+   * @returns {Promise<{ handled: boolean, command?: string, reason?: 'cooldown' | 'denied' | 'usage' }>}
+   */
+  async handle(message, event) {
+    const content = message?.content?.trim() ?? '';
+    if (!content.startsWith(this.prefix)) return { handled: false };
+
+    const body = content.slice(this.prefix.length);
+    const [invokedAs = ''] = body.split(/\s/, 1);
+    const command = this.#lookup.get(invokedAs.toLowerCase());
+    if (!command) return { handled: false };
+
+    const argsText = body.slice(invokedAs.length).trim();
+    const ctx = this.#createContext({
+      message,
+      event,
+      command,
+      invokedAs,
+      argsText,
+    });
+
+    if (!hasPermission(ctx.permission, command.permission)) {
+      await this.onDenied?.(ctx);
+      return { handled: true, command: command.name, reason: 'denied' };
+    }
+
+    const remainingMs = this.#cooldownRemaining(ctx);
+    if (remainingMs > 0) {
+      await this.onCooldown?.(ctx, remainingMs);
+      return { handled: true, command: command.name, reason: 'cooldown' };
+    }
+
+    try {
+      ctx.args = parseCommandArguments(argsText, command.args);
+    } catch (error) {
+      if (!(error instanceof KickCommandUsageError)) throw error;
+      await this.onUsageError?.(ctx, error);
+      return { handled: true, command: command.name, reason: 'usage' };
+    }
+
+    this.#startCooldown(ctx);
+    try {
+      await command.handler(ctx);
+    } catch (error) {
+      if (!this.onError) throw error;
+      await this.onError(error, ctx);
+    }
+    return { handled: true, command: command.name };
+  }
+
+  #createContext({
+    message,
+    event,
+    command,
+    invokedAs,
+    argsText,
+  }) {
+    const client = typeof this.client === 'function' ? this.client(message, event) : this.client;
+    const broadcasterUserId = message.broadcaster?.userId ?? undefined;
+    const sender = typeof this.sender === 'function' ? this.sender(message, event) : this.sender;
+    const send = (content, replyToMessageId) => {
+      const params = {
+        type: this.replyType,
+        broadcasterUserId: typeof broadcasterUserId === 'number' ? broadcasterUserId : undefined,
+        replyToMessageId,
+      };
+      return sender
+        ? sender.send({ ...params, content })
+        : client.sendChatMessage({ ...params, content: truncate(content) });
+    };
+
+    return {
+      message,
+      event,
+      command,
+      invokedAs,
+      args: {},
+      argsText,
+      permission: resolvePermissionLevel(message),
+      client,
+      reply: (content) => send(content, message.messageId),
+      say: (content) => send(content),
+    };
+  }
+
+  #cooldownRemaining(ctx) {
+    if (hasPermission(ctx.permission, this.cooldownBypass)) return 0;
+
+    const now = Date.now();
+    const keys = this.#cooldownKeys(ctx);
+    return Math.max(0, ...keys.map((key) => (this.#cooldowns.get(key) ?? 0) - now));
+  }
+
+  #startCooldown(ctx) {
+    const now = Date.now();
+    const { cooldownMs = 0, globalCooldownMs = 0 } = ctx.command;
+    const [userKey, globalKey] = this.#cooldownKeys(ctx);
+
+    for (const [key, until] of this.#cooldowns) {
+      if (until <= now) this.#cooldowns.delete(key);
+    }
+    if (cooldownMs > 0) this.#cooldowns.set(userKey, now + cooldownMs);
+    if (globalCooldownMs > 0) this.#cooldowns.set(globalKey, now + globalCooldownMs);
+  }
+
+  #cooldownKeys(ctx) {
+    const channel = ctx.message.broadcaster?.userId ?? 'default';
+    const user = ctx.message.sender?.userId ?? ctx.message.sender?.username ?? 'anonymous';
+    const name = ctx.command.name.toLowerCase();
+    return [`${channel}:${name}:${user}`, `${channel}:${name}`];
+  }
+}
+
+/**
+ * Highest permission level the sender of a chat message holds, derived from their badges.
+ * @param {import('./events.js').KickChatMessageEvent} message
+ * @returns {string}
+ */
+export function resolvePermissionLevel(message) {
+  const senderId = message?.sender?.userId;
+  if (senderId !== null && senderId !== undefined && senderId === message?.broadcaster?.userId) {
+    return 'broadcaster';
+  }
+
+  let level = 'everyone';
+  for (const badge of message?.sender?.identity?.badges ?? []) {
+    const badgeLevel = BADGE_LEVELS[String(badge?.type).toLowerCase()];
+    if (badgeLevel && hasPermission(badgeLevel, level)) level = badgeLevel;
+  }
+  return level;
+}
+
+/**
+ * Split a command's argument text into typed values. Double or single quotes group words,
+ * and a backslash escapes the next character. A quote that is never closed is kept as
+ * literal text. Commands without arguments ignore the text entirely.
+ * @param {string} text
+ * @param {CommandArgument[]} definitions
+ * @returns {Record<string, unknown>}
+ */
+export function parseCommandArguments(text, definitions = []) {
+  if (definitions.length === 0) return {};
+  const tokens = tokenize(text);
+  const args = {};
+
+  definitions.forEach((definition, index) => {
+    const token = tokens[index];
+    let raw;
+    if (definition.type === 'rest') {
+      raw = token ? text.slice(token.start).trim() : undefined;
+    } else {
+      raw = token?.value;
+    }
+
+    if (raw === undefined || raw === '') {
+      if (!definition.optional) {
+        throw new KickCommandUsageError(`Missing ${definition.name}`, { argument: definition.name });
+      }
+      args[definition.name] = definition.default;
+      return;
+    }
+
+    const value = convertArgument(raw, definition);
+    if (definition.choices && !definition.choices.includes(value)) {
+      throw new KickCommandUsageError(
+        `${definition.name} must be one of ${definition.choices.join(', ')}`,
+        { argument: definition.name },
+      );
+    }
+    args[definition.name] = value;
+  });
+
+  return args;
+}
+
+function convertArgument(raw, definition) {
+  switch (definition.type ?? 'string') {
+    case 'string':
+    case 'rest':
+      return raw;
+    case 'user':
+      return raw.replace(/^@/, '');
+    case 'number':
+    case 'integer': {
+      const value = Number(raw);
+      if (!Number.isFinite(value) || (definition.type === 'integer' && !Number.isInteger(value))) {
+        const expected = definition.type === 'integer' ? 'an integer' : 'a number';
+        throw new KickCommandUsageError(`${definition.name} must be ${expected}`, { argument: definition.name });
+      }
+      return value;
+    }
+    case 'boolean': {
+      const normalized = raw.toLowerCase();
+      if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+      if (['false', 'no', 'off', '0'].includes(normalized)) return false;
+      throw new KickCommandUsageError(`${definition.name} must be yes or no`, { argument: definition.name });
+    }
+    default:
+      return raw;
+  }
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    while (index < text.length && /\s/.test(text[index])) index += 1;
+    if (index >= text.length) break;
+
+    const start = index;
+    let value = '';
+    let quote = null;
+    while (index < text.length && (quote || !/\s/.test(text[index]))) {
+      const char = text[index];
+      if (char === '\\' && index + 1 < text.length) {
+        value += text[index + 1];
+        index += 2;
+        continue;
+      }
+      if (quote && char === quote) {
+        quote = null;
+      } else if (!quote && (char === '"' || char === "'") && value === '' && index === start) {
+        quote = char;
+      } else {
+        value += char;
+      }
+      index += 1;
+    }
+    if (quote) {
+      // An apostrophe or stray quote, not a group: read the word as it was typed.
+      index = start;
+      while (index < text.length && !/\s/.test(text[index])) index += 1;
+      value = text.slice(start, index);
+    }
+    tokens.push({ value, start });
+  }
+
+  return tokens;
+}
+
+function hasPermission(level, required) {
+  return COMMAND_PERMISSION_LEVELS.indexOf(level) >= COMMAND_PERMISSION_LEVELS.indexOf(required);
+}
+
+function assertPermissionLevel(level) {
+  if (!COMMAND_PERMISSION_LEVELS.includes(level)) {
+    throw new KickInputError(`Unknown permission level "${level}"; use one of ${COMMAND_PERMISSION_LEVELS.join(', ')}`);
+  }
+}
+
+function truncate(text) {
+  return text.length > KICK_CHAT_MAX_LENGTH ? `${text.slice(0, KICK_CHAT_MAX_LENGTH - 1)}…` : text;
+}
@@ -20,6 +20,265 @@ export class KickApiError extends Error {
   }
 }
 
+/**
+ * 401 – the access token is missing, expired, or revoked.
+ */
+export class KickAuthenticationError extends KickApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'KickAuthenticationError';
+  }
+}
+
+/**
+ * 403 – the token is valid but lacks a scope or permission.
+ */
+export class KickForbiddenError extends KickApiError {
+  /**
+   * @param {string} message
+   * @param {ConstructorParameters<typeof KickApiError>[1] & { missingScopes?: string[] }} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'KickForbiddenError';
+    /** Scopes Kick reported as missing, when it said so. */
+    this.missingScopes = options.missingScopes ?? [];
+    this.missingScope = this.missingScopes[0] ?? null;
+  }
+}
+
+/**
+ * 404 – the requested resource does not exist.
+ */
+export class KickNotFoundError extends KickApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'KickNotFoundError';
+  }
+}
+
+/**
+ * 400 / 422 – Kick rejected the request parameters.
+ */
+export class KickValidationError extends KickApiError {
+  /**
+   * @param {string} message
+   * @param {ConstructorParameters<typeof KickApiError>[1] & { fieldErrors?: Record<string, string[]> }} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'KickValidationError';
+    /** Messages keyed by the offending field, when Kick returned any. */
+    this.fieldErrors = options.fieldErrors ?? {};
+  }
+}
+
+/**
+ * 429 from Kick, or a request the client-side rate limiter refused to queue.
+ */
+export class KickRateLimitError extends KickApiError {
+  /**
+   * @param {string} message
+   * @param {ConstructorParameters<typeof KickApiError>[1] & { retryAfterMs?: number | null }} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'KickRateLimitError';
+    this.retryAfterMs = options.retryAfterMs ?? null;
+    /** Seconds to wait before retrying, as advertised by `Retry-After`. */
+    this.retryAfter = this.retryAfterMs === null ? null : this.retryAfterMs / 1000;
+  }
+}
+
+/**
+ * 5xx – Kick failed to handle an otherwise valid request.
+ */
+export class KickServerError extends KickApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'KickServerError';
+  }
+}
+
+/**
+ * The request never produced a response: DNS, connection, or TLS failures.
+ */
+export class KickNetworkError extends KickApiError {
+  /**
+   * @param {string} message
+   * @param {{ cause?: unknown }} [options]
+   */
+  constructor(message, { cause } = {}) {
+    super(message);
+    this.name = 'KickNetworkError';
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+/**
+ * Raised when a request is abandoned because it exceeded its timeout.
+ * Caller-initiated aborts keep surfacing as the original `AbortError`.
+ */
+export class KickTimeoutError extends KickNetworkError {
+  /**
+   * @param {string} message - Friendly error message.
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] - Timeout that elapsed.
+   * @param {unknown} [options.cause] - Underlying abort error.
+   */
+  constructor(message, { timeoutMs, cause } = {}) {
+    super(message, { cause });
+    this.name = 'KickTimeoutError';
+    this.timeoutMs = timeoutMs ?? null;
+  }
+}
+
+/**
+ * Invalid arguments caught before any request is sent.
+ */
+export class KickInputError extends Error {
+  /**
+   * @param {string} message
+   * @param {ErrorOptions} [options]
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'KickInputError';
+  }
+}
+
+/**
+ * The user-facing OAuth authorization step failed: the user denied consent, the
+ * redirect carried an unexpected `state`, or nobody completed the flow in time. Also
+ * raised once a refresh token was rejected and the user has to authorize again.
+ */
+export class KickAuthorizationError extends Error {
+  /**
+   * @param {string} message - Friendly error message.
+   * @param {object} [options]
+   * @param {string} [options.reason] - OAuth `error` code such as `access_denied`, or `state_mismatch` / `timeout`,
+   *   or `needs_reauth` when a stored refresh token was rejected.
+   * @param {string | null} [options.description] - OAuth `error_description`, when provided.
+   * @param {unknown} [options.cause]
+   */
+  constructor(message, { reason, description, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'KickAuthorizationError';
+    this.reason = reason ?? null;
+    this.description = description ?? null;
+  }
+}
+
+/**
+ * Chat command arguments that could not be parsed. The message is written to be shown back
+ * in chat, e.g. `Missing title`.
+ */
+export class KickCommandUsageError extends KickInputError {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {string} [options.argument] - Name of the offending argument, if known.
+   */
+  constructor(message, { argument } = {}) {
+    super(message);
+    this.name = 'KickCommandUsageError';
+    this.argument = argument ?? null;
+  }
+}
+
+/**
+ * Build the `KickApiError` subclass matching a failed response.
+ * @param {string} message
+ * @param {Response} response
+ * @param {any} body - Parsed response body.
+ * @returns {KickApiError}
+ */
+export function createKickApiError(message, response, body) {
+  const options = {
+    status: response.status,
+    statusText: response.statusText,
+    body,
+    requestId: response.headers.get('kick-request-id') ?? response.headers.get('x-request-id'),
+  };
+  const { status } = response;
+
+  if (status === 401) {
+    return new KickAuthenticationError(message, options);
+  }
+  if (status === 403) {
+    const missingScopes = parseMissingScopes(body, response.headers.get('www-authenticate'));
+    const detail = missingScopes.length > 0 ? ` (missing scope: ${missingScopes.join(', ')})` : '';
+    return new KickForbiddenError(`${message}${detail}`, { ...options, missingScopes });
+  }
+  if (status === 404) {
+    return new KickNotFoundError(message, options);
+  }
+  if (status === 400 || status === 422) {
+    return new KickValidationError(message, { ...options, fieldErrors: parseFieldErrors(body) });
+  }
+  if (status === 429) {
+    return new KickRateLimitError(message, {
+      ...options,
+      retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+    });
+  }
+  if (status >= 500) {
+    return new KickServerError(message, options);
+  }
+
+  return new KickApiError(message, options);
+}
+
+/**
+ * Wrap an error thrown by `fetch` in a `KickNetworkError`. Aborts are returned untouched
+ * so callers can still tell cancellation and timeouts apart.
+ * @param {unknown} error
+ * @param {AbortSignal} [signal]
+ * @returns {unknown}
+ */
+export function toNetworkError(error, signal) {
+  if (signal?.aborted || error?.name === 'AbortError' || error instanceof KickApiError) {
+    return error;
+  }
+  return new KickNetworkError(`Network request failed: ${error?.message ?? error}`, { cause: error });
+}
+
+/**
+ * Raised when an incoming webhook delivery fails verification.
+ */
+export class KickWebhookError extends Error {
+  /**
+   * @param {string} message - Friendly error message.
+   * @param {object} [options]
+   * @param {string} [options.reason] - Machine readable reason, e.g. `invalid_signature`.
+   * @param {number} [options.status] - Suggested HTTP status to answer the delivery with.
+   */
+  constructor(message, { reason, status } = {}) {
+    super(message);
+    this.name = 'KickWebhookError';
+    this.reason = reason ?? null;
+    this.status = status ?? 400;
+  }
+}
+
+/**
+ * Parse a `Retry-After` header given either in seconds or as an HTTP date.
+ * @param {string | null} value
+ * @returns {number | null} Delay in milliseconds.
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
 /**
  * Convert a Response object into either JSON or plain text.
  * @param {Response} response
@@ -38,3 +297,44 @@ export async function parseKickResponse(response) {
 
   return response.text();
 }
+
+function parseMissingScopes(body, wwwAuthenticate) {
+  const scopes = new Set();
+
+  const headerMatch = /scope="([^"]+)"/.exec(wwwAuthenticate ?? '');
+  if (headerMatch) {
+    headerMatch[1].split(/\s+/).filter(Boolean).forEach((scope) => scopes.add(scope));
+  }
+
+  const text = typeof body === 'string'
+    ? body
+    : [body?.message, body?.error, body?.error_description].filter((part) => typeof part === 'string').join(' ');
+
+  if (/scope/i.test(text)) {
+    for (const match of text.matchAll(/\b[a-z]+(?::[a-z_]+)+\b/g)) {
+      scopes.add(match[0]);
+    }
+  }
+
+  return [...scopes];
+}
+
+function parseFieldErrors(body) {
+  const source = body?.errors ?? body?.data?.errors;
+  const fieldErrors = {};
+
+  if (Array.isArray(source)) {
+    for (const entry of source) {
+      const field = entry?.field ?? entry?.param ?? entry?.path;
+      const text = entry?.message ?? entry?.error;
+      if (!field || !text) continue;
+      (fieldErrors[field] ??= []).push(String(text));
+    }
+  } else if (source && typeof source === 'object') {
+    for (const [field, messages] of Object.entries(source)) {
+      fieldErrors[field] = (Array.isArray(messages) ? messages : [messages]).map(String);
+    }
+  }
+
+  return fieldErrors;
+}
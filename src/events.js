@@ -0,0 +1,416 @@
+import { KickInputError } from './errors.js';
+
+/**
+ * Webhook event types documented by Kick.
+ */
+export const KICK_EVENT_TYPES = Object.freeze([
+  'chat.message.sent',
+  'channel.followed',
+  'channel.subscription.new',
+  'channel.subscription.renewal',
+  'channel.subscription.gifts',
+  'channel.reward.redemption.updated',
+  'livestream.status.updated',
+  'livestream.metadata.updated',
+  'moderation.banned',
+  'kicks.gifted',
+]);
+
+/**
+ * @typedef {object} KickEventBadge
+ * @property {string} text
+ * @property {string} type - e.g. `broadcaster`, `moderator`, `vip`, `subscriber`.
+ * @property {number | null} count
+ */
+
+/**
+ * @typedef {object} KickEventUser
+ * @property {number | null} userId
+ * @property {string | null} username
+ * @property {boolean} isAnonymous
+ * @property {boolean} isVerified
+ * @property {string | null} profilePicture
+ * @property {string | null} channelSlug
+ * @property {{ usernameColor: string | null, badges: KickEventBadge[] } | null} identity
+ */
+
+/**
+ * @typedef {object} KickChatMessageEvent
+ * @property {string} messageId
+ * @property {{ messageId: string, content: string, sender: KickEventUser | null } | null} repliesTo
+ * @property {KickEventUser | null} broadcaster
+ * @property {KickEventUser | null} sender
+ * @property {string} content
+ * @property {{ emoteId: string, positions: { start: number, end: number }[] }[]} emotes
+ * @property {string | null} createdAt
+ */
+
+/**
+ * @typedef {object} KickChannelFollowedEvent
+ * @property {KickEventUser | null} broadcaster
+ * @property {KickEventUser | null} follower
+ */
+
+/**
+ * @typedef {object} KickSubscriptionEvent
+ * Shape of `channel.subscription.new` and `channel.subscription.renewal`.
+ * @property {KickEventUser | null} broadcaster
+ * @property {KickEventUser | null} subscriber
+ * @property {number | null} duration - Subscription length in months.
+ * @property {string | null} createdAt
+ * @property {string | null} expiresAt
+ */
+
+/**
+ * @typedef {object} KickSubscriptionGiftsEvent
+ * @property {KickEventUser | null} broadcaster
+ * @property {KickEventUser | null} gifter - `null` fields when the gifter is anonymous.
+ * @property {KickEventUser[]} giftees
+ * @property {string | null} createdAt
+ * @property {string | null} expiresAt
+ */
+
+/**
+ * @typedef {object} KickRewardRedemptionEvent
+ * @property {string | null} id
+ * @property {string | null} userInput
+ * @property {string | null} status - `pending`, `accepted` or `rejected`.
+ * @property {string | null} redeemedAt
+ * @property {{ id: string | null, title: string | null, cost: number | null, description: string | null }} reward
+ * @property {KickEventUser | null} redeemer
+ * @property {KickEventUser | null} broadcaster
+ */
+
+/**
+ * @typedef {object} KickLivestreamStatusEvent
+ * @property {KickEventUser | null} broadcaster
+ * @property {boolean} isLive
+ * @property {string | null} title
+ * @property {string | null} startedAt
+ * @property {string | null} endedAt
+ */
+
+/**
+ * @typedef {object} KickLivestreamMetadataEvent
+ * @property {KickEventUser | null} broadcaster
+ * @property {{
+ *   title: string | null,
+ *   language: string | null,
+ *   hasMatureContent: boolean,
+ *   category: { id: number | null, name: string | null, thumbnail: string | null } | null,
+ * }} metadata
+ */
+
+/**
+ * @typedef {object} KickModerationBannedEvent
+ * @property {KickEventUser | null} broadcaster
+ * @property {KickEventUser | null} moderator
+ * @property {KickEventUser | null} bannedUser
+ * @property {{ reason: string | null, createdAt: string | null, expiresAt: string | null }} metadata
+ *   `expiresAt` is `null` for permanent bans.
+ */
+
+/**
+ * @typedef {object} KickKicksGiftedEvent
+ * @property {KickEventUser | null} broadcaster
+ * @property {KickEventUser | null} sender
+ * @property {{
+ *   amount: number | null,
+ *   name: string | null,
+ *   type: string | null,
+ *   tier: string | null,
+ *   message: string | null,
+ *   pinnedTimeSeconds: number | null,
+ * }} gift
+ * @property {string | null} createdAt
+ */
+
+const NORMALIZERS = {
+  'chat.message.sent': (payload) => ({
+    messageId: payload.message_id ?? null,
+    repliesTo: payload.replies_to
+      ? {
+        messageId: payload.replies_to.message_id ?? null,
+        content: payload.replies_to.content ?? '',
+        sender: normalizeUser(payload.replies_to.sender),
+      }
+      : null,
+    broadcaster: normalizeUser(payload.broadcaster),
+    sender: normalizeUser(payload.sender),
+    content: payload.content ?? '',
+    emotes: Array.isArray(payload.emotes)
+      ? payload.emotes.map((emote) => ({
+        emoteId: emote?.emote_id ?? null,
+        positions: Array.isArray(emote?.positions)
+          ? emote.positions.map((position) => ({ start: position.s, end: position.e }))
+          : [],
+      }))
+      : [],
+    createdAt: payload.created_at ?? null,
+  }),
+  'channel.followed': (payload) => ({
+    broadcaster: normalizeUser(payload.broadcaster),
+    follower: normalizeUser(payload.follower),
+  }),
+  'channel.subscription.new': normalizeSubscription,
+  'channel.subscription.renewal': normalizeSubscription,
+  'channel.subscription.gifts': (payload) => ({
+    broadcaster: normalizeUser(payload.broadcaster),
+    gifter: normalizeUser(payload.gifter),
+    giftees: Array.isArray(payload.giftees) ? payload.giftees.map(normalizeUser) : [],
+    createdAt: payload.created_at ?? null,
+    expiresAt: payload.expires_at ?? null,
+  }),
+  'channel.reward.redemption.updated': (payload) => ({
+    id: payload.id ?? null,
+    userInput: payload.user_input ?? null,
+    status: payload.status ?? null,
+    redeemedAt: payload.redeemed_at ?? null,
+    reward: {
+      id: payload.reward?.id ?? null,
+      title: payload.reward?.title ?? null,
+      cost: payload.reward?.cost ?? null,
+      description: payload.reward?.description ?? null,
+    },
+    redeemer: normalizeUser(payload.redeemer),
+    broadcaster: normalizeUser(payload.broadcaster),
+  }),
+  'livestream.status.updated': (payload) => ({
+    broadcaster: normalizeUser(payload.broadcaster),
+    isLive: Boolean(payload.is_live),
+    title: payload.title ?? null,
+    startedAt: payload.started_at ?? null,
+    endedAt: payload.ended_at ?? null,
+  }),
+  'livestream.metadata.updated': (payload) => ({
+    broadcaster: normalizeUser(payload.broadcaster),
+    metadata: {
+      title: payload.metadata?.title ?? null,
+      language: payload.metadata?.language ?? null,
+      hasMatureContent: Boolean(payload.metadata?.has_mature_content),
+      category: payload.metadata?.category
+        ? {
+          id: payload.metadata.category.id ?? null,
+          name: payload.metadata.category.name ?? null,
+          thumbnail: payload.metadata.category.thumbnail ?? null,
+        }
+        : null,
+    },
+  }),
+  'moderation.banned': (payload) => ({
+    broadcaster: normalizeUser(payload.broadcaster),
+    moderator: normalizeUser(payload.moderator),
+    bannedUser: normalizeUser(payload.banned_user),
+    metadata: {
+      reason: payload.metadata?.reason ?? null,
+      createdAt: payload.metadata?.created_at ?? null,
+      expiresAt: payload.metadata?.expires_at ?? null,
+    },
+  }),
+  'kicks.gifted': (payload) => ({
+    broadcaster: normalizeUser(payload.broadcaster),
+    sender: normalizeUser(payload.sender),
+    gift: {
+      amount: payload.gift?.amount ?? null,
+      name: payload.gift?.name ?? null,
+      type: payload.gift?.type ?? null,
+      tier: payload.gift?.tier ?? null,
+      message: payload.gift?.message ?? null,
+      pinnedTimeSeconds: payload.gift?.pinned_time_seconds ?? null,
+    },
+    createdAt: payload.created_at ?? null,
+  }),
+};
+
+/**
+ * Convert a raw snake_case webhook payload into its documented camelCase shape.
+ * Unknown event types are returned unchanged.
+ * @param {string} type
+ * @param {any} payload
+ * @returns {any}
+ */
+export function normalizeEventPayload(type, payload) {
+  const normalize = NORMALIZERS[type];
+  if (!normalize || !payload || typeof payload !== 'object') {
+    return payload;
+  }
+  return normalize(payload);
+}
+
+/**
+ * Routes verified webhook events to handlers by event type and subscription id.
+ *
+ * Handlers receive `(data, event)` where `data` is the normalized payload and `event`
+ * is the `KickWebhookEvent` returned by `KickWebhookReceiver`.
+ */
+export class KickEventRouter {
+  #handlers = new Map();
+  #unhandledHandlers = [];
+  #subscriptions = new Map();
+
+  /**
+   * Register a handler.
+   * @param {string} type - Exact type, a prefix wildcard such as `channel.subscription.*`, or `*` for every event.
+   * @param {(data: any, event: import('./webhooks.js').KickWebhookEvent, context?: any) => unknown} handler
+   * @returns {this}
+   */
+  on(type, handler) {
+    if (typeof type !== 'string' || type.trim() === '') {
+      throw new KickInputError('Event type must be a non-empty string');
+    }
+    if (typeof handler !== 'function') {
+      throw new KickInputError('Event handler must be a function');
+    }
+
+    const handlers = this.#handlers.get(type) ?? [];
+    handlers.push(handler);
+    this.#handlers.set(type, handlers);
+    return this;
+  }
+
+  /**
+   * Remove a handler registered with `on`.
+   * @param {string} type
+   * @param {Function} handler
+   * @returns {this}
+   */
+  off(type, handler) {
+    const handlers = this.#handlers.get(type);
+    if (!handlers) return this;
+
+    const remaining = handlers.filter((candidate) => candidate !== handler);
+    if (remaining.length > 0) {
+      this.#handlers.set(type, remaining);
+    } else {
+      this.#handlers.delete(type);
+    }
+    return this;
+  }
+
+  /**
+   * Register a fallback for events that no other handler matched, whether or not their type
+   * is in `KICK_EVENT_TYPES`. A `*` handler matches every event, so fallbacks never run while
+   * one is registered on this router or, for subscription routers, on the parent.
+   * @param {(data: any, event: import('./webhooks.js').KickWebhookEvent, context?: any) => unknown} handler
+   * @returns {this}
+   */
+  onUnhandled(handler) {
+    if (typeof handler !== 'function') {
+      throw new KickInputError('Event handler must be a function');
+    }
+
+    this.#unhandledHandlers.push(handler);
+    return this;
+  }
+
+  /**
+   * Get a nested router whose handlers only run for one `kick-event-subscription-id`.
+   * @param {string} subscriptionId
+   * @returns {KickEventRouter}
+   */
+  subscription(subscriptionId) {
+    if (!subscriptionId) {
+      throw new KickInputError('subscriptionId is required');
+    }
+
+    let router = this.#subscriptions.get(subscriptionId);
+    if (!router) {
+      router = new KickEventRouter();
+      this.#subscriptions.set(subscriptionId, router);
+    }
+    return router;
+  }
+
+  /**
+   * Drop every handler registered for a subscription id.
+   * @param {string} subscriptionId
+   * @returns {boolean}
+   */
+  removeSubscription(subscriptionId) {
+    return this.#subscriptions.delete(subscriptionId);
+  }
+
+  /**
+   * Run the handlers matching an event, in registration order.
+   * @param {import('./webhooks.js').KickWebhookEvent} event
+   * @param {unknown} [context] - Passed to every handler as its third argument, e.g. the tenant an event belongs to.
+   * @returns {Promise<number>} Number of handlers invoked, including `onUnhandled` fallbacks.
+   */
+  async dispatch(event, context) {
+    if (!event || typeof event.type !== 'string') {
+      throw new KickInputError('dispatch expects an event with a type');
+    }
+
+    const data = normalizeEventPayload(event.type, event.payload);
+    const handlers = this.#matchingHandlers(event.type);
+
+    const scoped = event.subscriptionId ? this.#subscriptions.get(event.subscriptionId) : null;
+    if (scoped) {
+      handlers.push(...scoped.#matchingHandlers(event.type));
+    }
+
+    if (handlers.length === 0) {
+      handlers.push(...this.#unhandledHandlers);
+      if (scoped) handlers.push(...scoped.#unhandledHandlers);
+    }
+
+    for (const handler of handlers) {
+      await handler(data, event, context);
+    }
+
+    return handlers.length;
+  }
+
+  #matchingHandlers(type) {
+    const matched = [];
+    for (const [pattern, handlers] of this.#handlers) {
+      if (matchesType(pattern, type)) {
+        matched.push(...handlers);
+      }
+    }
+    return matched;
+  }
+}
+
+function matchesType(pattern, type) {
+  if (pattern === '*' || pattern === type) return true;
+  if (pattern.endsWith('.*')) {
+    return type.startsWith(pattern.slice(0, -1));
+  }
+  return false;
+}
+
+function normalizeSubscription(payload) {
+  return {
+    broadcaster: normalizeUser(payload.broadcaster),
+    subscriber: normalizeUser(payload.subscriber),
+    duration: payload.duration ?? null,
+    createdAt: payload.created_at ?? null,
+    expiresAt: payload.expires_at ?? null,
+  };
+}
+
+function normalizeUser(user) {
+  if (!user || typeof user !== 'object') return null;
+
+  return {
+    userId: user.user_id ?? null,
+    username: user.username ?? null,
+    isAnonymous: Boolean(user.is_anonymous),
+    isVerified: Boolean(user.is_verified),
+    profilePicture: user.profile_picture ?? null,
+    channelSlug: user.channel_slug ?? null,
+    identity: user.identity
+      ? {
+        usernameColor: user.identity.username_color ?? null,
+        badges: Array.isArray(user.identity.badges)
+          ? user.identity.badges.map((badge) => ({
+            text: badge?.text ?? null,
+            type: badge?.type ?? null,
+            count: badge?.count ?? null,
+          }))
+          : [],
+      }
+      : null,
+  };
+}
@@ -1,7 +1,49 @@
-import { KickApiError, parseKickResponse } from './errors.js';
+import { setTimeout as sleep } from 'node:timers/promises';
+import {
+  KickInputError,
+  KickNetworkError,
+  KickTimeoutError,
+  createKickApiError,
+  parseKickResponse,
+  parseRetryAfter,
+  toNetworkError,
+} from './errors.js';
+import { resolveMiddleware } from './middleware.js';
+import { KickRateLimiter } from './rate-limit.js';
 
 const SDK_VERSION = '0.1.0';
 export const DEFAULT_API_BASE_URL = 'https://api.kick.com/public/v1';
+export const DEFAULT_TIMEOUT_MS = 30_000;
+
+/**
+ * @typedef {object} KickRetryPolicy
+ * @property {number} maxAttempts - Total attempts including the first request; `1` disables retries.
+ * @property {number} baseDelayMs - Delay before the first retry, doubled on every further attempt.
+ * @property {number} maxDelayMs - Upper bound for a single delay, including `Retry-After`.
+ * @property {boolean} jitter - Randomize delays between zero and the computed backoff.
+ * @property {boolean} respectRetryAfter - Wait for the `Retry-After` header when present.
+ * @property {string[]} methods - HTTP methods that may be retried.
+ * @property {(status: number, response: Response) => boolean} retryOnStatus - Whether a response status is retryable.
+ * @property {(error: unknown) => boolean} retryOnError - Whether a thrown error is retryable; network errors and timeouts by default.
+ */
+
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Retry policy applied when neither the client nor the call overrides it.
+ * Only idempotent methods are retried so chat messages are never duplicated by accident.
+ * @type {Readonly<KickRetryPolicy>}
+ */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 30_000,
+  jitter: true,
+  respectRetryAfter: true,
+  methods: Object.freeze(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']),
+  retryOnStatus: (status) => RETRYABLE_STATUSES.has(status),
+  retryOnError: (error) => error instanceof KickNetworkError,
+});
 
 /**
  * Minimal HTTP client used by the higher level API wrappers.
@@ -13,21 +55,46 @@ export class KickHttpClient {
    * @param {string} [options.baseUrl] - Override the API base URL (defaults to Kick Public API).
    * @param {(input: RequestInfo, init?: RequestInit) => Promise<Response>} [options.fetchImpl] - Custom fetch implementation.
    * @param {string} [options.userAgent] - Custom User-Agent header value.
+   * @param {Partial<KickRetryPolicy> | false} [options.retry] - Retry policy merged over `DEFAULT_RETRY_POLICY`; `false` disables retries.
+   * @param {KickRateLimiter | ConstructorParameters<typeof KickRateLimiter>[0] | boolean} [options.rateLimit]
+   *   Opt in to client-side rate limiting: a limiter instance (share one across clients), limiter options, or `true`
+   *   for the defaults. Off by default; 429 responses are still retried through `retry`.
+   * @param {number | null} [options.timeoutMs] - Per-attempt timeout; `null` or `0` waits indefinitely.
+   * @param {import('./middleware.js').KickMiddlewarePipeline | import('./middleware.js').KickMiddleware[]} [options.middleware]
+   *   Middleware functions, or a pipeline instance shared with other clients.
+   * @param {import('./token-manager.js').KickTokenManager} [options.tokenManager]
+   *   Supplies the access token for every request and is refreshed once when Kick answers 401.
    */
   constructor({
     accessToken,
     baseUrl = DEFAULT_API_BASE_URL,
     fetchImpl = globalThis.fetch,
     userAgent = `kapi-kit-sdk/${SDK_VERSION} (+https://docs.kick.com/)`,
+    retry,
+    rateLimit,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    middleware,
+    tokenManager,
   } = {}) {
     if (typeof fetchImpl !== 'function') {
-      throw new Error('The provided fetch implementation must be a function');
+      throw new KickInputError('The provided fetch implementation must be a function');
     }
 
-    this.accessToken = accessToken ?? null;
+    this.accessToken = accessToken ?? tokenManager?.accessToken ?? null;
+    this.tokenManager = tokenManager ?? null;
     this.baseUrl = baseUrl.replace(/\/+$/, '');
     this.fetchImpl = fetchImpl;
     this.userAgent = userAgent;
+    this.retryPolicy = resolveRetryPolicy(DEFAULT_RETRY_POLICY, retry);
+    this.timeoutMs = timeoutMs;
+    this.middleware = resolveMiddleware(middleware);
+    if (rateLimit === undefined || rateLimit === null || rateLimit === false) {
+      this.rateLimiter = null;
+    } else if (rateLimit instanceof KickRateLimiter) {
+      this.rateLimiter = rateLimit;
+    } else {
+      this.rateLimiter = new KickRateLimiter(rateLimit === true ? {} : rateLimit);
+    }
   }
 
   /**
@@ -38,6 +105,16 @@ export class KickHttpClient {
     this.accessToken = token ?? null;
   }
 
+  /**
+   * Register a middleware that wraps every request attempt.
+   * @param {import('./middleware.js').KickMiddleware} middleware
+   * @returns {this}
+   */
+  use(middleware) {
+    this.middleware.use(middleware);
+    return this;
+  }
+
   /**
    * Execute an API request with automatic JSON parsing and error handling.
    * @param {object} options
@@ -47,6 +124,8 @@ export class KickHttpClient {
    * @param {any} [options.body]
    * @param {AbortSignal} [options.signal]
    * @param {Record<string, string>} [options.headers]
+   * @param {Partial<KickRetryPolicy> | false} [options.retry] - Per-call override of the client retry policy.
+   * @param {number | null} [options.timeoutMs] - Per-call override of the client timeout.
    * @returns {Promise<any>}
    */
   async request({
@@ -56,50 +135,148 @@ export class KickHttpClient {
     body,
     signal,
     headers = {},
+    retry,
+    timeoutMs = this.timeoutMs,
   }) {
     if (!method) {
-      throw new Error('HTTP method is required');
+      throw new KickInputError('HTTP method is required');
     }
 
     const targetPath = path.startsWith('/') ? path : `/${path}`;
-    const queryString = this.#buildQueryString(query);
-    const url = `${this.baseUrl}${targetPath}${queryString ? `?${queryString}` : ''}`;
+    const attemptOptions = {
+      method,
+      path: targetPath,
+      query,
+      body,
+      signal,
+      headers,
+      retry,
+      timeoutMs,
+    };
+    const managesToken = Boolean(this.tokenManager) && !headers.Authorization;
+
+    if (managesToken) {
+      this.accessToken = await this.tokenManager.getAccessToken();
+    }
+
+    let { response, data, attempt } = await this.#execute({ ...attemptOptions, accessToken: this.accessToken });
+
+    if (response.status === 401 && managesToken) {
+      // One refresh and replay; a second 401 means the new token is rejected too. The replay
+      // continues the attempt count, so it shares the retry budget instead of starting over.
+      this.accessToken = await this.tokenManager.refresh({ staleAccessToken: this.accessToken });
+      ({ response, data } = await this.#execute({
+        ...attemptOptions,
+        accessToken: this.accessToken,
+        firstAttempt: attempt + 1,
+      }));
+    }
 
+    if (!response.ok) {
+      throw createKickApiError('Kick API request failed', response, data);
+    }
+
+    return data;
+  }
+
+  async #execute({
+    method,
+    path,
+    query,
+    body,
+    signal,
+    headers,
+    retry,
+    timeoutMs,
+    accessToken,
+    firstAttempt = 1,
+  }) {
     const requestHeaders = {
       Accept: 'application/json',
       'User-Agent': this.userAgent,
       ...headers,
     };
 
-    const init = { method, headers: requestHeaders, signal };
-
     if (body !== undefined && body !== null) {
       requestHeaders['Content-Type'] = requestHeaders['Content-Type'] ?? 'application/json';
-      init.body = typeof body === 'string' ? body : JSON.stringify(body);
     }
 
-    if (this.accessToken) {
-      requestHeaders.Authorization = requestHeaders.Authorization ?? `Bearer ${this.accessToken}`;
+    if (accessToken) {
+      requestHeaders.Authorization = requestHeaders.Authorization ?? `Bearer ${accessToken}`;
     }
 
-    const response = await this.fetchImpl(url, init);
+    const policy = resolveRetryPolicy(this.retryPolicy, retry);
+    const canRetry = policy.methods.includes(method.toUpperCase());
+    let response;
+    let parsed;
+    let attempt = firstAttempt;
+
+    for (; ; attempt += 1) {
+      const isLastAttempt = !canRetry || attempt >= policy.maxAttempts;
+
+      const rateLimitKey = { accessToken, path, method };
+      await this.rateLimiter?.acquire({ ...rateLimitKey, signal });
+
+      try {
+        ({ response, data: parsed } = await withTimeout({ signal, timeoutMs }, async (attemptSignal) => {
+          const ctx = {
+            method,
+            path,
+            query,
+            body,
+            headers: { ...requestHeaders },
+            attempt,
+            signal: attemptSignal,
+            response: null,
+            data: undefined,
+            error: null,
+            state: {},
+          };
+          await this.middleware.run(ctx, (current) => this.#send(current));
+          if (!ctx.response) {
+            throw new KickInputError('Middleware finished without calling next() or setting ctx.response');
+          }
+          return ctx;
+        }));
+      } catch (error) {
+        if (isLastAttempt || signal?.aborted || !policy.retryOnError(error)) {
+          throw error;
+        }
+        await sleep(computeBackoff(policy, attempt), undefined, { signal });
+        continue;
+      }
+
+      this.rateLimiter?.update({ ...rateLimitKey, response });
+
+      if (response.ok || isLastAttempt || !policy.retryOnStatus(response.status, response)) {
+        break;
+      }
+
+      const delayMs = computeRetryDelay(policy, attempt, response);
+      if (delayMs === null) break;
 
-    if (response.status === 204) {
-      return null;
+      await sleep(delayMs, undefined, { signal });
     }
 
-    const parsed = await parseKickResponse(response);
+    return { response, data: parsed, attempt };
+  }
 
-    if (!response.ok) {
-      throw new KickApiError('Kick API request failed', {
-        status: response.status,
-        statusText: response.statusText,
-        body: parsed,
-        requestId: response.headers.get('kick-request-id') ?? response.headers.get('x-request-id'),
-      });
+  async #send(ctx) {
+    const queryString = this.#buildQueryString(ctx.query);
+    const url = `${this.baseUrl}${ctx.path}${queryString ? `?${queryString}` : ''}`;
+    const init = { method: ctx.method, headers: ctx.headers, signal: ctx.signal };
+
+    if (ctx.body !== undefined && ctx.body !== null) {
+      init.body = typeof ctx.body === 'string' ? ctx.body : JSON.stringify(ctx.body);
     }
 
-    return parsed;
+    try {
+      ctx.response = await this.fetchImpl(url, init);
+      ctx.data = ctx.response.status === 204 ? null : await parseKickResponse(ctx.response);
+    } catch (error) {
+      ctx.error = toNetworkError(error, ctx.signal);
+      throw ctx.error;
+    }
   }
 
   #buildQueryString(query) {
@@ -123,3 +300,73 @@ export class KickHttpClient {
     return new URLSearchParams(params).toString();
   }
 }
+
+/**
+ * Run a task with a signal that aborts when either the caller's signal fires or
+ * `timeoutMs` elapses. Timeouts surface as `KickTimeoutError`; caller aborts are rethrown untouched.
+ * @template T
+ * @param {object} options
+ * @param {AbortSignal} [options.signal]
+ * @param {number | null} [options.timeoutMs]
+ * @param {(signal: AbortSignal | undefined) => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+export async function withTimeout({ signal, timeoutMs }, task) {
+  if (!timeoutMs || !Number.isFinite(timeoutMs)) {
+    return task(signal);
+  }
+
+  const timeoutSignal = AbortSignal.timeout(timeoutMs);
+  const combined = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+  try {
+    return await task(combined);
+  } catch (error) {
+    if (timeoutSignal.aborted && !signal?.aborted) {
+      throw new KickTimeoutError(`Request timed out after ${timeoutMs}ms`, { timeoutMs, cause: error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Return the `data` member of a Kick response envelope, or the response itself when it has none.
+ * @param {unknown} response
+ * @returns {any}
+ */
+export function unwrapData(response) {
+  if (response && typeof response === 'object' && 'data' in response) {
+    return response.data;
+  }
+  return response ?? null;
+}
+
+function resolveRetryPolicy(base, override) {
+  if (override === false) {
+    return { ...base, maxAttempts: 1 };
+  }
+  if (!override) {
+    return base;
+  }
+  return { ...base, ...override };
+}
+
+function computeBackoff(policy, attempt) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return policy.jitter ? Math.random() * exponential : exponential;
+}
+
+/**
+ * Returns the delay before the next attempt, or `null` when `Retry-After` asks
+ * for a longer wait than the policy allows.
+ */
+function computeRetryDelay(policy, attempt, response) {
+  if (policy.respectRetryAfter) {
+    const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    if (retryAfterMs !== null) {
+      return retryAfterMs > policy.maxDelayMs ? null : retryAfterMs;
+    }
+  }
+
+  return computeBackoff(policy, attempt);
+}
@@ -1,10 +1,85 @@
 export { KickApiClient } from './client.js';
-export { KickChatClient } from './chat.js';
+export { KickChatClient, ChatSession } from './chat.js';
 export {
   KickAuthClient,
   DEFAULT_OAUTH_BASE_URL,
   createAuthorizationUrl,
   createPkcePair,
+  authorizeWithLocalServer,
+  KickAuthSessionManager,
+  MemoryAuthSessionStore,
 } from './auth.js';
-export { KickHttpClient, DEFAULT_API_BASE_URL } from './http.js';
-export { KickApiError, parseKickResponse } from './errors.js';
+export { KickTokenManager, isTerminalRefreshError } from './token-manager.js';
+export {
+  MemoryTokenStore,
+  FileTokenStore,
+  EncryptedFileTokenStore,
+  RedisTokenStore,
+  DEFAULT_TOKEN_SECRET_ENV,
+} from './token-store.js';
+export {
+  KickHttpClient,
+  DEFAULT_API_BASE_URL,
+  DEFAULT_RETRY_POLICY,
+  DEFAULT_TIMEOUT_MS,
+} from './http.js';
+export { KickMiddlewarePipeline } from './middleware.js';
+export {
+  KickPageIterator,
+  KICK_PAGINATION,
+  DEFAULT_PAGINATION_STRATEGY,
+} from './paginate.js';
+export {
+  KICK_SCOPES,
+  KICK_METHOD_SCOPES,
+  getRequiredScopes,
+  parseScopes,
+  findMissingScopes,
+} from './scopes.js';
+export {
+  KickRateLimiter,
+  DEFAULT_RATE_LIMITS,
+  resolveRouteGroup,
+} from './rate-limit.js';
+export {
+  KickWebhookReceiver,
+  MemorySeenMessageStore,
+  KICK_WEBHOOK_HEADERS,
+  verifySignature,
+  readRequestBody,
+} from './webhooks.js';
+export { KickEventRouter, KICK_EVENT_TYPES, normalizeEventPayload } from './events.js';
+export { ChatSender, KICK_CHAT_MAX_LENGTH, splitChatMessage } from './chat-sender.js';
+export {
+  ChatMessageBuilder,
+  parseChatMessage,
+  formatChatTokens,
+  getEmoteUrl,
+} from './chat-markup.js';
+export { reconcileSubscriptions } from './subscriptions.js';
+export { LivestreamWatcher } from './livestream-watcher.js';
+export { KickBotHost } from './bot-host.js';
+export {
+  CommandRouter,
+  COMMAND_PERMISSION_LEVELS,
+  parseCommandArguments,
+  resolvePermissionLevel,
+} from './commands.js';
+export {
+  KickApiError,
+  KickAuthenticationError,
+  KickForbiddenError,
+  KickNotFoundError,
+  KickValidationError,
+  KickRateLimitError,
+  KickServerError,
+  KickNetworkError,
+  KickTimeoutError,
+  KickInputError,
+  KickAuthorizationError,
+  KickCommandUsageError,
+  KickWebhookError,
+  createKickApiError,
+  parseKickResponse,
+  parseRetryAfter,
+} from './errors.js';
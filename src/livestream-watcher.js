@@ -0,0 +1,306 @@
+import { EventEmitter } from 'node:events';
+import { KickInputError } from './errors.js';
+
+const DEFAULT_INTERVAL_MS = 60_000;
+const DEFAULT_MAX_BACKOFF_MS = 5 * 60_000;
+const DEFAULT_BATCH_SIZE = 50;
+
+/**
+ * @typedef {object} KickLivestreamSnapshot
+ * @property {number} broadcasterUserId
+ * @property {string | null} slug
+ * @property {boolean} isLive
+ * @property {string | null} title
+ * @property {{ id: number, name: string } | null} category
+ * @property {number} viewerCount - `0` while offline.
+ * @property {string | null} startedAt - ISO timestamp of the current stream, if live.
+ * @property {string | null} language
+ * @property {number} observedAt - Epoch milliseconds of the poll that produced the snapshot.
+ */
+
+/**
+ * Polls channels through `getChannels` and emits events when their live state changes.
+ * Useful where event subscriptions cannot be created.
+ *
+ * Every listener receives `(current, previous)` snapshots:
+ * - `online` / `offline` when a channel starts or stops streaming
+ * - `titleChanged`, `categoryChanged` when the metadata differs from the last poll
+ * - `viewerCountChanged` while live, whenever the viewer count moved
+ * - `error` with the failure when a poll fails; polling continues with backoff.
+ *   Errors are only emitted when an `error` listener is attached.
+ *
+ * A listener that throws (or returns a rejected promise) does not stop the other listeners
+ * or the poll; its error is emitted as `error` too.
+ */
+export class LivestreamWatcher extends EventEmitter {
+  #broadcasterUserIds = new Set();
+
+  #slugs = new Set();
+
+  #snapshots = new Map();
+
+  #timer = null;
+
+  #abort = null;
+
+  #inFlight = null;
+
+  #running = false;
+
+  // Bumped by start() and stop(), so a timer from an earlier polling loop cannot reschedule.
+  #generation = 0;
+
+  #polled = false;
+
+  #failures = 0;
+
+  /**
+   * @param {object} options
+   * @param {import('./client.js').KickApiClient} options.client
+   * @param {number[]} [options.broadcasterUserIds]
+   * @param {string[]} [options.slugs]
+   * @param {number} [options.intervalMs] - Delay between successful polls.
+   * @param {number} [options.maxBackoffMs] - Upper bound for the delay after consecutive failures.
+   * @param {number} [options.batchSize] - Channels requested per `getChannels` call.
+   * @param {boolean} [options.emitInitial] - Emit `online` for channels already live on the first poll.
+   */
+  constructor({
+    client,
+    broadcasterUserIds = [],
+    slugs = [],
+    intervalMs = DEFAULT_INTERVAL_MS,
+    maxBackoffMs = DEFAULT_MAX_BACKOFF_MS,
+    batchSize = DEFAULT_BATCH_SIZE,
+    emitInitial = false,
+  }) {
+    super();
+    if (!client || typeof client.getChannels !== 'function') {
+      throw new KickInputError('client is required for LivestreamWatcher');
+    }
+
+    this.client = client;
+    this.intervalMs = intervalMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.batchSize = batchSize;
+    this.emitInitial = emitInitial;
+    this.add({ broadcasterUserIds, slugs });
+  }
+
+  get running() {
+    return this.#running;
+  }
+
+  /**
+   * Watch more channels; they are included from the next poll on.
+   * @param {{ broadcasterUserIds?: number[], slugs?: string[] }} channels
+   * @returns {this}
+   */
+  add({ broadcasterUserIds = [], slugs = [] } = {}) {
+    for (const id of broadcasterUserIds) this.#broadcasterUserIds.add(Number(id));
+    for (const slug of slugs) this.#slugs.add(String(slug).toLowerCase());
+    return this;
+  }
+
+  /**
+   * Stop watching channels and forget their snapshots.
+   * @param {{ broadcasterUserIds?: number[], slugs?: string[] }} channels
+   * @returns {this}
+   */
+  remove({ broadcasterUserIds = [], slugs = [] } = {}) {
+    for (const id of broadcasterUserIds) {
+      this.#broadcasterUserIds.delete(Number(id));
+      this.#snapshots.delete(Number(id));
+    }
+    for (const slug of slugs) {
+      const normalized = String(slug).toLowerCase();
+      this.#slugs.delete(normalized);
+      for (const [id, snapshot] of this.#snapshots) {
+        if (snapshot.slug?.toLowerCase() === normalized) this.#snapshots.delete(id);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Last known state of a channel.
+   * @param {number | string} broadcasterUserIdOrSlug
+   * @returns {KickLivestreamSnapshot | null}
+   */
+  getSnapshot(broadcasterUserIdOrSlug) {
+    if (typeof broadcasterUserIdOrSlug === 'number') {
+      return this.#snapshots.get(broadcasterUserIdOrSlug) ?? null;
+    }
+    const slug = String(broadcasterUserIdOrSlug).toLowerCase();
+    for (const snapshot of this.#snapshots.values()) {
+      if (snapshot.slug?.toLowerCase() === slug) return snapshot;
+    }
+    return null;
+  }
+
+  /**
+   * Start polling immediately and then every `intervalMs`.
+   * @returns {this}
+   */
+  start() {
+    if (this.#running) return this;
+    this.#running = true;
+    this.#generation += 1;
+    this.#schedule(0);
+    return this;
+  }
+
+  /**
+   * Stop polling and cancel an in-flight poll.
+   */
+  stop() {
+    this.#running = false;
+    this.#generation += 1;
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    this.#abort?.abort();
+    this.#abort = null;
+    // The cancelled poll must not be shared with polls made after a restart.
+    this.#inFlight = null;
+  }
+
+  /**
+   * Run one poll cycle and emit events for every change. Batches that fail are skipped and
+   * the first failure is rethrown after the successful batches were processed. Calls made
+   * while a poll is running share that poll instead of diffing against half-updated state.
+   * @returns {Promise<KickLivestreamSnapshot[]>} Snapshots returned by this poll.
+   */
+  poll() {
+    if (!this.#inFlight) {
+      const inFlight = this.#poll().finally(() => {
+        if (this.#inFlight === inFlight) this.#inFlight = null;
+      });
+      this.#inFlight = inFlight;
+    }
+    return this.#inFlight;
+  }
+
+  async #poll() {
+    const controller = new AbortController();
+    this.#abort = controller;
+    const batches = [
+      ...chunk([...this.#broadcasterUserIds], this.batchSize).map((ids) => ({ broadcasterUserIds: ids })),
+      ...chunk([...this.#slugs], this.batchSize).map((slugs) => ({ slugs })),
+    ];
+
+    const results = await Promise.allSettled(
+      batches.map((batch) => this.client.getChannels({ ...batch, signal: controller.signal })),
+    );
+    if (this.#abort === controller) this.#abort = null;
+
+    const observedAt = Date.now();
+    const seen = new Map();
+    for (const result of results) {
+      if (result.status !== 'fulfilled' || !Array.isArray(result.value)) continue;
+      for (const channel of result.value) {
+        const snapshot = toSnapshot(channel, observedAt);
+        if (snapshot) seen.set(snapshot.broadcasterUserId, snapshot);
+      }
+    }
+
+    const isInitial = !this.#polled;
+    this.#polled = true;
+    for (const snapshot of seen.values()) {
+      const previous = this.#snapshots.get(snapshot.broadcasterUserId) ?? null;
+      this.#snapshots.set(snapshot.broadcasterUserId, snapshot);
+      this.#diff(snapshot, previous, isInitial);
+    }
+
+    const failure = results.find((result) => result.status === 'rejected');
+    if (failure) throw failure.reason;
+    return [...seen.values()];
+  }
+
+  #diff(current, previous, isInitial) {
+    if (!previous) {
+      if (current.isLive && (!isInitial || this.emitInitial)) this.#emitChange('online', current, null);
+      return;
+    }
+
+    if (current.isLive !== previous.isLive) {
+      this.#emitChange(current.isLive ? 'online' : 'offline', current, previous);
+    }
+    if (current.title !== previous.title) {
+      this.#emitChange('titleChanged', current, previous);
+    }
+    if ((current.category?.id ?? null) !== (previous.category?.id ?? null)) {
+      this.#emitChange('categoryChanged', current, previous);
+    }
+    if (current.isLive && current.viewerCount !== previous.viewerCount) {
+      this.#emitChange('viewerCountChanged', current, previous);
+    }
+  }
+
+  // Call listeners one by one so a failing listener cannot skip the others or abort the poll.
+  #emitChange(event, current, previous) {
+    for (const listener of this.rawListeners(event)) {
+      try {
+        const result = listener.call(this, current, previous);
+        if (typeof result?.then === 'function') result.then(undefined, (error) => this.#reportError(error));
+      } catch (error) {
+        this.#reportError(error);
+      }
+    }
+  }
+
+  #reportError(error) {
+    if (this.listenerCount('error') > 0) this.emit('error', error);
+  }
+
+  #schedule(delayMs) {
+    if (!this.#running) return;
+
+    const generation = this.#generation;
+    this.#timer = setTimeout(async () => {
+      this.#timer = null;
+      try {
+        await this.poll();
+        if (generation !== this.#generation) return;
+        this.#failures = 0;
+      } catch (error) {
+        if (generation !== this.#generation) return;
+        this.#failures += 1;
+        this.#reportError(error);
+      }
+      this.#schedule(this.#nextDelay());
+    }, delayMs);
+  }
+
+  #nextDelay() {
+    if (this.#failures === 0) return this.intervalMs;
+    return Math.min(this.maxBackoffMs, this.intervalMs * 2 ** this.#failures);
+  }
+}
+
+function toSnapshot(channel, observedAt) {
+  const broadcasterUserId = channel?.broadcaster_user_id;
+  if (broadcasterUserId === undefined || broadcasterUserId === null) return null;
+
+  const stream = channel.stream ?? {};
+  const isLive = Boolean(stream.is_live);
+  return {
+    broadcasterUserId: Number(broadcasterUserId),
+    slug: channel.slug ?? null,
+    isLive,
+    title: channel.stream_title ?? null,
+    category: channel.category?.id === undefined || channel.category?.id === null
+      ? null
+      : { id: channel.category.id, name: channel.category.name ?? null },
+    viewerCount: isLive ? Number(stream.viewer_count ?? 0) : 0,
+    startedAt: isLive ? stream.start_time ?? null : null,
+    language: stream.language ?? null,
+    observedAt,
+  };
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
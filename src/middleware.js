@@ -0,0 +1,108 @@
+import { KickInputError } from './errors.js';
+
+/**
+ * @typedef {object} KickRequestContext
+ * @property {string} method - HTTP method, e.g. `GET`.
+ * @property {string} path - Path relative to the client's base URL, e.g. `/chat`.
+ * @property {Record<string, unknown> | undefined} query - Query parameters; arrays repeat the key.
+ * @property {any} body - Request body before serialization.
+ * @property {Record<string, string>} headers - Outgoing headers; mutate before calling `next()`.
+ * @property {number} attempt - 1 for the first try, incremented on every retry.
+ * @property {AbortSignal | undefined} signal - Signal combining the caller's signal and the timeout.
+ * @property {Response | null} response - Raw response once `next()` resolved.
+ * @property {any} data - Parsed response body; replace it to rewrite what the caller receives.
+ * @property {unknown} error - Error thrown by the request or by inner middleware, if any.
+ * @property {Record<string, unknown>} state - Scratch space shared between middleware for one attempt.
+ */
+
+/**
+ * @typedef {(ctx: KickRequestContext, next: () => Promise<void>) => Promise<void> | void} KickMiddleware
+ */
+
+/**
+ * Ordered chain of request middleware, shared by every kapi-kit client.
+ *
+ * Middleware runs once per attempt, outermost first, and wraps the actual `fetch` call.
+ * Pass the same pipeline instance to several clients to write cross-cutting concerns once.
+ */
+export class KickMiddlewarePipeline {
+  #middleware = [];
+
+  /**
+   * @param {KickMiddleware[]} [middleware]
+   */
+  constructor(middleware = []) {
+    for (const fn of middleware) {
+      this.use(fn);
+    }
+  }
+
+  /**
+   * Append a middleware function.
+   * @param {KickMiddleware} fn
+   * @returns {this}
+   */
+  use(fn) {
+    if (typeof fn !== 'function') {
+      throw new KickInputError('Middleware must be a function');
+    }
+
+    this.#middleware.push(fn);
+    return this;
+  }
+
+  get size() {
+    return this.#middleware.length;
+  }
+
+  /**
+   * Run the chain around a terminal handler that performs the request. An error thrown
+   * anywhere inside the chain is recorded on `ctx.error` before it reaches outer middleware.
+   * @param {KickRequestContext} ctx
+   * @param {(ctx: KickRequestContext) => Promise<void>} terminal
+   * @returns {Promise<void>}
+   */
+  async run(ctx, terminal) {
+    const chain = [...this.#middleware];
+    let lastIndex = -1;
+
+    const dispatch = async (index) => {
+      if (index <= lastIndex) {
+        throw new KickInputError('next() called multiple times in the same middleware');
+      }
+      lastIndex = index;
+
+      try {
+        if (index === chain.length) {
+          await terminal(ctx);
+        } else {
+          await chain[index](ctx, () => dispatch(index + 1));
+        }
+      } catch (error) {
+        ctx.error = error;
+        throw error;
+      }
+    };
+
+    await dispatch(0);
+  }
+}
+
+/**
+ * Normalize the `middleware` client option into a pipeline.
+ * @param {KickMiddlewarePipeline | KickMiddleware[] | undefined} middleware
+ * @returns {KickMiddlewarePipeline}
+ */
+export function resolveMiddleware(middleware) {
+  if (middleware instanceof KickMiddlewarePipeline) {
+    return middleware;
+  }
+  if (middleware === undefined || middleware === null) {
+    return new KickMiddlewarePipeline();
+  }
+  if (Array.isArray(middleware)) {
+    return new KickMiddlewarePipeline(middleware);
+  }
+
+  throw new KickInputError('middleware must be an array of functions or a KickMiddlewarePipeline');
+}
@@ -0,0 +1,175 @@
+import { KickInputError } from './errors.js';
+
+/**
+ * @typedef {object} KickPaginationStrategy
+ * @property {'page' | 'single'} mode - `page` walks a numeric page parameter; `single` endpoints return everything at once.
+ * @property {string} [pageParam] - Name of the page parameter for `page` mode.
+ * @property {number} [firstPage] - Number of the first page for `page` mode.
+ */
+
+/**
+ * How each `KickApiClient` list method pages. Only methods in this map can be paginated;
+ * other methods take positional arguments or do not return lists.
+ * @type {Readonly<Record<string, Readonly<KickPaginationStrategy>>>}
+ */
+export const KICK_PAGINATION = Object.freeze({
+  searchCategories: Object.freeze({ mode: 'page', pageParam: 'page', firstPage: 1 }),
+  getChannels: Object.freeze({ mode: 'single' }),
+  listEventSubscriptions: Object.freeze({ mode: 'single' }),
+  getLivestreams: Object.freeze({ mode: 'single' }),
+  getUsers: Object.freeze({ mode: 'single' }),
+  getKicksLeaderboard: Object.freeze({ mode: 'single' }),
+});
+
+/** @type {Readonly<KickPaginationStrategy>} Used by `KickPageIterator` when no strategy is given. */
+export const DEFAULT_PAGINATION_STRATEGY = Object.freeze({ mode: 'page', pageParam: 'page', firstPage: 1 });
+
+/**
+ * Async iterator over the items of a paged endpoint. Pages are requested lazily, one at a
+ * time, until a page comes back empty, shorter than the pages before it, or identical to
+ * the previous one (an endpoint that ignores the page parameter).
+ * @template T
+ */
+export class KickPageIterator {
+  #fetchPage;
+
+  #strategy;
+
+  /**
+   * @param {(page: number | undefined) => Promise<unknown>} fetchPage
+   * @param {object} [options]
+   * @param {KickPaginationStrategy} [options.strategy]
+   * @param {number} [options.startPage] - First page to request in `page` mode.
+   * @param {number} [options.maxItems] - Stop after yielding this many items.
+   * @param {number} [options.maxPages] - Stop after requesting this many pages.
+   */
+  constructor(fetchPage, {
+    strategy = DEFAULT_PAGINATION_STRATEGY,
+    startPage,
+    maxItems = Infinity,
+    maxPages = Infinity,
+  } = {}) {
+    if (!(maxItems >= 0) || !(maxPages >= 0)) {
+      throw new KickInputError('maxItems and maxPages must be non-negative numbers');
+    }
+
+    this.#fetchPage = fetchPage;
+    this.#strategy = strategy;
+    this.startPage = startPage ?? strategy.firstPage ?? 1;
+    this.maxItems = maxItems;
+    this.maxPages = maxPages;
+  }
+
+  /**
+   * Iterate page by page instead of item by item. `maxItems` trims the last page.
+   * @returns {AsyncGenerator<T[]>}
+   */
+  async* pages() {
+    let remaining = this.maxItems;
+
+    for await (const items of this.#walk()) {
+      const page = items.length > remaining ? items.slice(0, remaining) : items;
+      remaining -= page.length;
+      yield page;
+      if (remaining <= 0) return;
+    }
+  }
+
+  async* [Symbol.asyncIterator]() {
+    for await (const page of this.pages()) {
+      yield* page;
+    }
+  }
+
+  /**
+   * Collect every item into an array, honoring `maxItems` and `maxPages`.
+   * @returns {Promise<T[]>}
+   */
+  async toArray() {
+    const items = [];
+    for await (const item of this) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  async* #walk() {
+    if (this.maxPages < 1 || this.maxItems < 1) return;
+
+    if (this.#strategy.mode === 'single') {
+      yield toItems(await this.#fetchPage(undefined));
+      return;
+    }
+
+    let previous = null;
+    let largestPage = 0;
+
+    for (let requested = 0, page = this.startPage; requested < this.maxPages; requested += 1, page += 1) {
+      const items = toItems(await this.#fetchPage(page));
+      if (items.length === 0) return;
+
+      const fingerprint = JSON.stringify(items);
+      if (fingerprint === previous) return;
+      previous = fingerprint;
+
+      yield items;
+
+      if (items.length < largestPage) return;
+      largestPage = items.length;
+    }
+  }
+}
+
+/**
+ * Build `client.paginate`: call it as `paginate('method', params)` or use the
+ * `paginate.method(params)` shorthand for the methods listed in `strategies`.
+ * @param {object} client
+ * @param {Record<string, KickPaginationStrategy>} [strategies]
+ * @returns {Function & Record<string, (params?: object) => KickPageIterator<any>>}
+ */
+export function createPaginate(client, strategies = KICK_PAGINATION) {
+  const assertPaginable = (method) => {
+    if (!Object.hasOwn(strategies, method) || typeof client[method] !== 'function') {
+      throw new KickInputError(`Cannot paginate ${String(method)}; expected one of ${Object.keys(strategies).join(', ')}`);
+    }
+  };
+
+  const paginate = (method, params = {}) => {
+    assertPaginable(method);
+
+    const {
+      maxItems,
+      maxPages,
+      ...callParams
+    } = params;
+    const strategy = strategies[method];
+    const pageParam = strategy.pageParam ?? 'page';
+
+    return new KickPageIterator(
+      (page) => client[method](page === undefined ? callParams : { ...callParams, [pageParam]: page }),
+      {
+        strategy,
+        startPage: strategy.mode === 'page' ? callParams[pageParam] : undefined,
+        maxItems,
+        maxPages,
+      },
+    );
+  };
+
+  return new Proxy(paginate, {
+    get(target, property, receiver) {
+      if (typeof property === 'string' && Object.hasOwn(strategies, property)) {
+        return (params) => paginate(property, params);
+      }
+      // Unknown names read as `undefined` so `await`, `JSON.stringify` and `util.inspect`
+      // keep working; `paginate('name')` reports unknown methods.
+      return Reflect.get(target, property, receiver);
+    },
+  });
+}
+
+function toItems(result) {
+  if (Array.isArray(result)) return result;
+  if (result === null || result === undefined) return [];
+  return [result];
+}
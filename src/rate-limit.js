@@ -0,0 +1,311 @@
+import crypto from 'node:crypto';
+import { KickRateLimitError, parseRetryAfter } from './errors.js';
+
+/**
+ * @typedef {object} KickRateLimitBucket
+ * @property {number} limit - Requests allowed per interval (bucket capacity).
+ * @property {number} intervalMs - Time in which a full bucket refills.
+ */
+
+/**
+ * Starting budgets per route group. Kick does not publish rate limits, so these are guesses
+ * kept below what bots usually run into, not documented values; the limiter replaces them
+ * as soon as responses carry rate-limit headers. Pass `limits` to set your own.
+ * @type {Readonly<Record<string, KickRateLimitBucket>>}
+ */
+export const DEFAULT_RATE_LIMITS = Object.freeze({
+  default: Object.freeze({ limit: 120, intervalMs: 60_000 }),
+  chat: Object.freeze({ limit: 20, intervalMs: 30_000 }),
+  moderation: Object.freeze({ limit: 30, intervalMs: 60_000 }),
+  channels: Object.freeze({ limit: 60, intervalMs: 60_000 }),
+});
+
+const ROUTE_GROUPS = new Set(['chat', 'moderation', 'channels']);
+const SWEEP_INTERVAL_MS = 60_000;
+
+/**
+ * Map an API path to its rate-limit group: `chat`, `moderation`, `channels` or `default`.
+ * @param {string} path
+ * @returns {string}
+ */
+export function resolveRouteGroup(path) {
+  const [segment] = String(path).replace(/^\/+/, '').split(/[/?]/);
+  return ROUTE_GROUPS.has(segment) ? segment : 'default';
+}
+
+/**
+ * Client-side token bucket limiter keyed per access token and route group.
+ *
+ * Requests wait in a FIFO queue while their bucket is empty instead of failing with 429.
+ * Buckets adapt to `ratelimit-*` / `x-ratelimit-*` response headers and `Retry-After`.
+ * Buckets that have refilled completely and have nothing queued are dropped, so tokens that
+ * are rotated or no longer used do not accumulate.
+ */
+export class KickRateLimiter {
+  #buckets = new Map();
+
+  #lastSweep = Date.now();
+
+  /**
+   * @param {object} [options]
+   * @param {Record<string, Partial<KickRateLimitBucket>>} [options.limits] - Budgets merged over `DEFAULT_RATE_LIMITS`.
+   * @param {number} [options.maxQueueSize] - Requests allowed to wait per bucket before new ones are rejected.
+   * @param {number} [options.queueTimeoutMs] - Maximum time a request may wait for a slot.
+   * @param {(path: string, method: string) => string} [options.resolveGroup] - Custom route grouping.
+   */
+  constructor({
+    limits = {},
+    maxQueueSize = 100,
+    queueTimeoutMs = 60_000,
+    resolveGroup = resolveRouteGroup,
+  } = {}) {
+    this.limits = { ...DEFAULT_RATE_LIMITS };
+    for (const [group, bucket] of Object.entries(limits)) {
+      this.limits[group] = { ...(DEFAULT_RATE_LIMITS[group] ?? DEFAULT_RATE_LIMITS.default), ...bucket };
+    }
+    this.maxQueueSize = maxQueueSize;
+    this.queueTimeoutMs = queueTimeoutMs;
+    this.resolveGroup = resolveGroup;
+  }
+
+  /**
+   * Wait until the bucket for this token and route has a free slot.
+   * @param {object} options
+   * @param {string | null} [options.accessToken]
+   * @param {string} options.path
+   * @param {string} [options.method]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<void>}
+   */
+  acquire({
+    accessToken,
+    path,
+    method = 'GET',
+    signal,
+  }) {
+    const bucket = this.#bucketFor(accessToken, path, method);
+    signal?.throwIfAborted();
+
+    this.#refill(bucket);
+    if (bucket.queue.length === 0 && this.#tryTake(bucket)) {
+      return Promise.resolve();
+    }
+
+    if (bucket.queue.length >= this.maxQueueSize) {
+      return Promise.reject(new KickRateLimitError(
+        `Rate limit queue for "${bucket.group}" is full (${this.maxQueueSize} pending requests)`,
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, cleanup: null };
+      const timer = setTimeout(() => {
+        this.#removeWaiter(bucket, waiter);
+        reject(new KickRateLimitError(
+          `Timed out after ${this.queueTimeoutMs}ms waiting for a "${bucket.group}" rate limit slot`,
+        ));
+      }, this.queueTimeoutMs);
+      const onAbort = () => {
+        this.#removeWaiter(bucket, waiter);
+        reject(signal.reason);
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      waiter.cleanup = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      bucket.queue.push(waiter);
+      this.#schedule(bucket);
+    });
+  }
+
+  /**
+   * Adapt the bucket from a response's rate-limit headers.
+   * @param {object} options
+   * @param {string | null} [options.accessToken]
+   * @param {string} options.path
+   * @param {string} [options.method]
+   * @param {Response} options.response
+   */
+  update({
+    accessToken,
+    path,
+    method = 'GET',
+    response,
+  }) {
+    const bucket = this.#bucketFor(accessToken, path, method);
+    const headers = response.headers;
+    const now = Date.now();
+
+    const limit = parseHeaderNumber(readRateLimitHeader(headers, 'limit'));
+    const remaining = parseHeaderNumber(readRateLimitHeader(headers, 'remaining'));
+    const resetMs = parseReset(readRateLimitHeader(headers, 'reset'), now);
+
+    this.#refill(bucket);
+
+    if (limit !== null && limit > 0) {
+      bucket.capacity = limit;
+    }
+    if (remaining !== null) {
+      bucket.tokens = Math.min(bucket.tokens, remaining);
+      if (remaining <= 0 && resetMs !== null) {
+        // The server window refills completely once it resets.
+        this.#block(bucket, now + resetMs, bucket.capacity);
+      }
+    }
+
+    if (response.status === 429) {
+      const waitMs = parseRetryAfter(response.headers.get('retry-after')) ?? resetMs ?? bucket.intervalMs;
+      bucket.tokens = 0;
+      this.#block(bucket, now + waitMs, 1);
+    }
+
+    this.#schedule(bucket);
+  }
+
+  /**
+   * Number of requests currently waiting, optionally for one token and route.
+   * @param {object} [options]
+   * @param {string | null} [options.accessToken]
+   * @param {string} [options.path]
+   * @param {string} [options.method]
+   * @returns {number}
+   */
+  pending({ accessToken, path, method = 'GET' } = {}) {
+    if (path !== undefined) {
+      return this.#buckets.get(this.#keyFor(accessToken, path, method))?.queue.length ?? 0;
+    }
+
+    let total = 0;
+    for (const bucket of this.#buckets.values()) {
+      total += bucket.queue.length;
+    }
+    return total;
+  }
+
+  #bucketFor(accessToken, path, method) {
+    const key = this.#keyFor(accessToken, path, method);
+    let bucket = this.#buckets.get(key);
+
+    if (!bucket) {
+      this.#sweep();
+      const group = this.resolveGroup(path, method);
+      const { limit, intervalMs } = this.limits[group] ?? this.limits.default;
+      bucket = {
+        group,
+        capacity: limit,
+        intervalMs,
+        tokens: limit,
+        updatedAt: Date.now(),
+        blockedUntil: 0,
+        tokensAfterBlock: 0,
+        queue: [],
+        timer: null,
+      };
+      this.#buckets.set(key, bucket);
+    }
+
+    return bucket;
+  }
+
+  #keyFor(accessToken, path, method) {
+    // Tokens are fingerprinted so the limiter never holds raw credentials.
+    const tokenKey = accessToken
+      ? crypto.createHash('sha256').update(accessToken).digest('hex').slice(0, 16)
+      : 'anonymous';
+    return `${tokenKey}:${this.resolveGroup(path, method)}`;
+  }
+
+  // A full, idle bucket holds no state that a new bucket would not start with.
+  #sweep() {
+    const now = Date.now();
+    if (now - this.#lastSweep < SWEEP_INTERVAL_MS) return;
+    this.#lastSweep = now;
+
+    for (const [key, bucket] of this.#buckets) {
+      if (bucket.queue.length > 0 || bucket.timer || now < bucket.blockedUntil) continue;
+      this.#refill(bucket);
+      if (bucket.tokens >= bucket.capacity) this.#buckets.delete(key);
+    }
+  }
+
+  #block(bucket, until, tokensAfterBlock) {
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, until);
+    bucket.tokensAfterBlock = Math.max(bucket.tokensAfterBlock, tokensAfterBlock);
+  }
+
+  #refill(bucket) {
+    const now = Date.now();
+    if (bucket.blockedUntil && now >= bucket.blockedUntil) {
+      bucket.tokens = Math.max(bucket.tokens, bucket.tokensAfterBlock);
+      bucket.blockedUntil = 0;
+      bucket.tokensAfterBlock = 0;
+    }
+
+    const elapsed = now - bucket.updatedAt;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (elapsed * bucket.capacity) / bucket.intervalMs);
+    bucket.updatedAt = now;
+  }
+
+  #tryTake(bucket) {
+    if (Date.now() < bucket.blockedUntil || bucket.tokens < 1) {
+      return false;
+    }
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  #drain(bucket) {
+    bucket.timer = null;
+    this.#refill(bucket);
+
+    while (bucket.queue.length > 0 && this.#tryTake(bucket)) {
+      const waiter = bucket.queue.shift();
+      waiter.cleanup();
+      waiter.resolve();
+    }
+
+    this.#schedule(bucket);
+  }
+
+  #schedule(bucket) {
+    if (bucket.timer || bucket.queue.length === 0) return;
+
+    const now = Date.now();
+    const refillMs = bucket.tokens >= 1
+      ? 0
+      : ((1 - bucket.tokens) * bucket.intervalMs) / bucket.capacity;
+    const blockedMs = bucket.blockedUntil - now;
+    const delay = blockedMs > 0 && bucket.tokensAfterBlock >= 1
+      ? blockedMs
+      : Math.max(blockedMs, refillMs, 0);
+
+    bucket.timer = setTimeout(() => this.#drain(bucket), Math.ceil(delay));
+  }
+
+  #removeWaiter(bucket, waiter) {
+    const index = bucket.queue.indexOf(waiter);
+    if (index !== -1) bucket.queue.splice(index, 1);
+    waiter.cleanup();
+  }
+}
+
+function readRateLimitHeader(headers, name) {
+  return headers.get(`ratelimit-${name}`) ?? headers.get(`x-ratelimit-${name}`);
+}
+
+function parseHeaderNumber(value) {
+  if (value === null || value === undefined) return null;
+  // Structured values such as `100, 100;w=60` start with the effective number.
+  const match = /^\s*(\d+(?:\.\d+)?)/.exec(value);
+  return match ? Number(match[1]) : null;
+}
+
+function parseReset(value, now) {
+  const numeric = parseHeaderNumber(value);
+  if (numeric === null) return null;
+  // Large values are epoch seconds, small ones seconds until the window resets.
+  return numeric > 1e9 ? Math.max(0, numeric * 1000 - now) : numeric * 1000;
+}
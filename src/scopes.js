@@ -0,0 +1,74 @@
+/**
+ * OAuth scopes understood by the Kick Public API.
+ */
+export const KICK_SCOPES = Object.freeze({
+  USER_READ: 'user:read',
+  CHANNEL_READ: 'channel:read',
+  CHANNEL_WRITE: 'channel:write',
+  CHAT_WRITE: 'chat:write',
+  STREAMKEY_READ: 'streamkey:read',
+  EVENTS_SUBSCRIBE: 'events:subscribe',
+  MODERATION_BAN: 'moderation:ban',
+  MODERATION_CHAT_MESSAGE_MANAGE: 'moderation:chat_message:manage',
+  KICKS_READ: 'kicks:read',
+});
+
+/**
+ * Scopes each `KickApiClient` method needs on a user token. Methods that work with any
+ * token, including app tokens, map to an empty list.
+ * @type {Readonly<Record<string, readonly string[]>>}
+ */
+export const KICK_METHOD_SCOPES = Object.freeze({
+  sendChatMessage: Object.freeze([KICK_SCOPES.CHAT_WRITE]),
+  searchCategories: Object.freeze([]),
+  getCategoryById: Object.freeze([]),
+  getChannels: Object.freeze([KICK_SCOPES.CHANNEL_READ]),
+  updateChannelMetadata: Object.freeze([KICK_SCOPES.CHANNEL_WRITE]),
+  listEventSubscriptions: Object.freeze([KICK_SCOPES.EVENTS_SUBSCRIBE]),
+  createEventSubscriptions: Object.freeze([KICK_SCOPES.EVENTS_SUBSCRIBE]),
+  deleteEventSubscriptions: Object.freeze([KICK_SCOPES.EVENTS_SUBSCRIBE]),
+  getLivestreams: Object.freeze([]),
+  getLivestreamStats: Object.freeze([]),
+  banUser: Object.freeze([KICK_SCOPES.MODERATION_BAN]),
+  unbanUser: Object.freeze([KICK_SCOPES.MODERATION_BAN]),
+  getKicksLeaderboard: Object.freeze([KICK_SCOPES.KICKS_READ]),
+  getPublicKey: Object.freeze([]),
+  getUsers: Object.freeze([KICK_SCOPES.USER_READ]),
+  introspectToken: Object.freeze([]),
+});
+
+/**
+ * Scopes required by a `KickApiClient` method, or an empty list for unknown methods.
+ * @param {string} method
+ * @returns {string[]}
+ */
+export function getRequiredScopes(method) {
+  return [...(KICK_METHOD_SCOPES[method] ?? [])];
+}
+
+/**
+ * Split a space or comma separated scope string (as returned by the OAuth and
+ * introspection endpoints) into individual scopes.
+ * @param {string | string[] | null | undefined} value
+ * @returns {string[]}
+ */
+export function parseScopes(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap((entry) => parseScopes(entry));
+  }
+  if (typeof value !== 'string') {
+    return [];
+  }
+  return value.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Scopes from `required` that `granted` does not contain.
+ * @param {string | string[] | null | undefined} granted
+ * @param {string | string[]} required
+ * @returns {string[]}
+ */
+export function findMissingScopes(granted, required) {
+  const grantedSet = new Set(parseScopes(granted));
+  return parseScopes(required).filter((scope) => !grantedSet.has(scope));
+}
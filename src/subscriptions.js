@@ -0,0 +1,207 @@
+import { KickInputError } from './errors.js';
+
+/**
+ * @typedef {object} KickSubscriptionRef
+ * @property {string | null} id - `null` for subscriptions that a dry run would create.
+ * @property {string} name
+ * @property {number} version
+ */
+
+/**
+ * @typedef {'upgraded' | 'downgraded' | 'version_changed'} KickVersionChangeReason - `version_changed` when the
+ *   two versions cannot be compared.
+ */
+
+/**
+ * @typedef {object} KickSubscriptionReport
+ * @property {number | undefined} broadcasterUserId
+ * @property {boolean} dryRun
+ * @property {KickSubscriptionRef[]} kept - Subscriptions that already matched.
+ * @property {KickSubscriptionRef[]} created
+ * @property {Array<KickSubscriptionRef & { reason: 'duplicate' | 'stale' | KickVersionChangeReason }>} deleted
+ * @property {Array<{ name: string, fromVersion: number, toVersion: number, previousId: string, id: string | null, reason: KickVersionChangeReason }>} versionChanges
+ *   Subscriptions replaced by one on another version.
+ * @property {Array<{ name: string, version: number, error: string }>} failed - Events Kick refused to create, or
+ *   created without returning a subscription id.
+ * @property {Record<string, string | null>} subscriptions - Active subscription id per desired event name.
+ */
+
+/**
+ * Bring a broadcaster's event subscriptions in line with a desired list. Missing events are
+ * created, subscriptions on an older or newer version are replaced, duplicates of one event
+ * are removed, and (with `prune`) subscriptions for events no longer wanted are deleted.
+ * Only subscriptions of `broadcasterUserId` are ever touched, so an app token that lists
+ * every broadcaster's subscriptions cannot delete another broadcaster's webhooks.
+ *
+ * New subscriptions are created before old ones are deleted, so there is no window without
+ * deliveries. When Kick refuses to create an event, or does not confirm it with a subscription
+ * id, its existing subscriptions are left alone and it is reported in `failed`.
+ *
+ * @param {object} options
+ * @param {import('./client.js').KickApiClient} options.client
+ * @param {number} [options.broadcasterUserId] - Omit to reconcile the subscriptions of the token's own channel;
+ *   required with `prune`.
+ * @param {Array<string | { name: string, version?: number }>} options.events - Desired events; versions default to 1.
+ * @param {'webhook'} [options.method]
+ * @param {boolean} [options.prune] - Delete this broadcaster's subscriptions for events missing from `events`.
+ * @param {boolean} [options.dryRun] - Compute the report without creating or deleting anything.
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<KickSubscriptionReport>}
+ */
+export async function reconcileSubscriptions({
+  client,
+  broadcasterUserId,
+  events,
+  method = 'webhook',
+  prune = false,
+  dryRun = false,
+  signal,
+}) {
+  if (!client) throw new KickInputError('client is required to reconcile subscriptions');
+  if (prune && (broadcasterUserId === undefined || broadcasterUserId === null)) {
+    throw new KickInputError('broadcasterUserId is required to prune subscriptions');
+  }
+  const desired = normalizeDesiredEvents(events);
+
+  const listed = (await client.listEventSubscriptions({ broadcasterUserId, signal })) ?? [];
+  const entries = Array.isArray(listed) ? listed : [];
+  if (broadcasterUserId === undefined || broadcasterUserId === null) {
+    const owners = new Set(entries.map((entry) => entry?.broadcaster_user_id).filter((id) => id !== undefined && id !== null));
+    if (owners.size > 1) {
+      throw new KickInputError('The token lists subscriptions of several broadcasters; pass broadcasterUserId');
+    }
+  }
+  const existing = entries
+    .filter((entry) => broadcasterUserId === undefined
+      || broadcasterUserId === null
+      || Number(entry?.broadcaster_user_id) === Number(broadcasterUserId))
+    .map((entry) => ({ id: entry.id, name: entry.event, version: entry.version }));
+
+  const report = {
+    broadcasterUserId,
+    dryRun,
+    kept: [],
+    created: [],
+    deleted: [],
+    versionChanges: [],
+    failed: [],
+    subscriptions: {},
+  };
+  const toCreate = [];
+  const toDelete = [];
+  const replaced = new Map();
+
+  for (const { name, version } of desired) {
+    const sameName = existing.filter((entry) => entry.name === name);
+    const match = sameName.find((entry) => entry.version === version);
+
+    if (match) {
+      report.kept.push(match);
+      report.subscriptions[name] = match.id;
+    } else {
+      toCreate.push({ name, version });
+      replaced.set(name, sameName);
+    }
+
+    for (const entry of sameName) {
+      if (entry === match) continue;
+      toDelete.push({ ...entry, reason: entry.version === version ? 'duplicate' : versionChangeReason(entry.version, version) });
+    }
+  }
+
+  if (prune) {
+    const wanted = new Set(desired.map((event) => event.name));
+    for (const entry of existing) {
+      if (!wanted.has(entry.name)) toDelete.push({ ...entry, reason: 'stale' });
+    }
+  }
+
+  const createdIds = new Map();
+  if (toCreate.length > 0 && !dryRun) {
+    const response = await client.createEventSubscriptions({
+      broadcasterUserId,
+      method,
+      events: toCreate,
+      signal,
+    });
+    const errors = new Map();
+    for (const result of Array.isArray(response) ? response : []) {
+      if (!result?.name) continue;
+      if (result.error) {
+        errors.set(result.name, result.error);
+      } else if (result.subscription_id) {
+        createdIds.set(result.name, result.subscription_id);
+      }
+    }
+
+    // Only a returned subscription id proves the replacement exists; anything else counts as
+    // failed so the subscriptions it would replace keep delivering.
+    for (const { name, version } of toCreate) {
+      if (createdIds.has(name)) continue;
+      report.failed.push({
+        name,
+        version,
+        error: errors.get(name) ?? 'Kick did not return a subscription id',
+      });
+    }
+  }
+
+  const failedNames = new Set(report.failed.map((failure) => failure.name));
+  for (const { name, version } of toCreate) {
+    if (failedNames.has(name)) {
+      // The old subscription keeps delivering, so it stays the active one.
+      const [previous] = replaced.get(name);
+      if (previous) report.subscriptions[name] = previous.id;
+      continue;
+    }
+
+    const id = createdIds.get(name) ?? null;
+    report.created.push({ id, name, version });
+    report.subscriptions[name] = id;
+    for (const previous of replaced.get(name)) {
+      report.versionChanges.push({
+        name,
+        fromVersion: previous.version,
+        toVersion: version,
+        previousId: previous.id,
+        id,
+        reason: versionChangeReason(previous.version, version),
+      });
+    }
+  }
+
+  // Keep the old subscriptions of events that could not be created, so deliveries continue.
+  report.deleted = toDelete.filter((entry) => entry.reason === 'stale' || !failedNames.has(entry.name));
+  if (report.deleted.length > 0 && !dryRun) {
+    await client.deleteEventSubscriptions({ ids: report.deleted.map((entry) => entry.id), signal });
+  }
+
+  return report;
+}
+
+function versionChangeReason(fromVersion, toVersion) {
+  if (typeof fromVersion !== 'number' || Number.isNaN(fromVersion)) return 'version_changed';
+  return toVersion > fromVersion ? 'upgraded' : 'downgraded';
+}
+
+function normalizeDesiredEvents(events) {
+  if (!Array.isArray(events)) {
+    throw new KickInputError('events must be an array of event names or { name, version } objects');
+  }
+
+  const byName = new Map();
+  for (const event of events) {
+    const { name, version = 1 } = typeof event === 'string' ? { name: event } : event ?? {};
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new KickInputError('Event name must be a non-empty string');
+    }
+    if (typeof version !== 'number') {
+      throw new KickInputError(`Version of ${name} must be a number`);
+    }
+    if (byName.has(name) && byName.get(name).version !== version) {
+      throw new KickInputError(`${name} is listed with two different versions`);
+    }
+    byName.set(name, { name, version });
+  }
+  return [...byName.values()];
+}
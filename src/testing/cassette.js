@@ -0,0 +1,334 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { KickInputError } from '../errors.js';
+
+const CASSETTE_VERSION = 1;
+const REDACTED = '[REDACTED]';
+
+const DEFAULT_REDACTED_HEADERS = Object.freeze([
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'kick-app-secret',
+]);
+
+const DEFAULT_REDACTED_FIELDS = Object.freeze([
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'client_secret',
+  'token',
+]);
+
+// Only secret in requests; responses use `code` for error codes.
+const REQUEST_ONLY_FIELDS = Object.freeze(['code', 'code_verifier']);
+
+// Recomputed by `Response`, and bodies are stored decoded.
+const SKIPPED_RESPONSE_HEADERS = new Set(['content-length', 'content-encoding', 'transfer-encoding']);
+
+/**
+ * @typedef {object} KickCassetteRequest
+ * @property {string} method
+ * @property {string} path - URL path including the base path, e.g. `/public/v1/users`.
+ * @property {Record<string, string[]>} query
+ * @property {Record<string, string>} headers
+ * @property {unknown} body - Parsed JSON or form body, `null` when there was none.
+ */
+
+/**
+ * @typedef {object} KickCassetteInteraction
+ * @property {KickCassetteRequest} request
+ * @property {{ status: number, statusText: string, headers: Record<string, string>, body: unknown }} response
+ */
+
+/**
+ * Record-and-replay fixtures for anything that accepts `fetchImpl`. Pass `cassette.fetch`
+ * as `fetchImpl`:
+ *
+ * - `record` performs real requests and keeps the exchanges; `save()` writes them to `path`
+ *   with tokens, secrets and authorization codes redacted.
+ * - `replay` answers from the file without touching the network. Every recorded exchange is
+ *   served at most once, in recorded order; a request without a match throws.
+ * - `verify` performs real requests like `record` and compares each response's shape with
+ *   the recording, collecting differences in `drift`.
+ */
+export class KickCassette {
+  #interactions = null;
+
+  #played = new Set();
+
+  /**
+   * @param {object} options
+   * @param {string} options.path - JSON file holding the exchanges.
+   * @param {'replay' | 'record' | 'verify'} [options.mode]
+   * @param {'strict' | 'loose' | ((request: KickCassetteRequest, recorded: KickCassetteRequest) => boolean)} [options.match]
+   *   `strict` compares method, path, query and body; `loose` only method and path, and keeps
+   *   serving the last match once every match has been played.
+   * @param {{ headers?: string[], fields?: string[] }} [options.redact] - Extra header names and body,
+   *   query or response fields to redact, on top of tokens, secrets and authorization codes.
+   * @param {typeof fetch} [options.fetchImpl] - Used in `record` and `verify` mode.
+   */
+  constructor({
+    path: filePath,
+    mode = 'replay',
+    match = 'strict',
+    redact = {},
+    fetchImpl = globalThis.fetch,
+  }) {
+    if (!filePath) throw new KickInputError('path is required for KickCassette');
+    if (!['replay', 'record', 'verify'].includes(mode)) {
+      throw new KickInputError(`Unknown cassette mode ${mode}; expected replay, record or verify`);
+    }
+    if (typeof match !== 'function' && match !== 'strict' && match !== 'loose') {
+      throw new KickInputError('match must be strict, loose or a function');
+    }
+
+    this.path = filePath;
+    this.mode = mode;
+    this.match = match;
+    this.redactedHeaders = new Set([...DEFAULT_REDACTED_HEADERS, ...(redact.headers ?? [])].map((name) => name.toLowerCase()));
+    this.redactedFields = new Set([...DEFAULT_REDACTED_FIELDS, ...(redact.fields ?? [])]);
+    this.fetchImpl = fetchImpl;
+    /** @type {KickCassetteInteraction[]} Exchanges captured in `record` mode. */
+    this.recorded = [];
+    /** @type {Array<{ request: string, differences: string[] }>} Shape differences found in `verify` mode. */
+    this.drift = [];
+
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Recorded exchanges that have not been replayed yet.
+   * @returns {Promise<KickCassetteInteraction[]>}
+   */
+  async unplayed() {
+    const interactions = await this.#load();
+    return interactions.filter((_, index) => !this.#played.has(index));
+  }
+
+  /**
+   * `fetch` compatible function to pass as `fetchImpl`.
+   * @param {RequestInfo | URL} input
+   * @param {RequestInit} [init]
+   * @returns {Promise<Response>}
+   */
+  async fetch(input, init) {
+    const request = new Request(input, init);
+    const captured = this.#captureRequest(request, await request.clone().text());
+
+    if (this.mode === 'replay') {
+      const interactions = await this.#load();
+      const index = this.#findMatch(interactions, captured);
+      if (index === -1) {
+        throw new KickInputError(`No recorded interaction in ${this.path} matches ${describe(captured)}`);
+      }
+      this.#played.add(index);
+      return toResponse(interactions[index].response);
+    }
+
+    const response = await this.fetchImpl(request);
+    const interaction = {
+      request: captured,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: this.#redactHeaders(response.headers, SKIPPED_RESPONSE_HEADERS),
+        body: this.#redactValue(parseBody(await response.clone().text(), response.headers.get('content-type'))),
+      },
+    };
+
+    if (this.mode === 'record') {
+      this.recorded.push(interaction);
+    } else {
+      this.#verify(await this.#load(), interaction);
+    }
+    return response;
+  }
+
+  /**
+   * Write the exchanges captured in `record` mode to `path`.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (this.mode !== 'record') throw new KickInputError('save() is only available in record mode');
+
+    const content = `${JSON.stringify({ version: CASSETTE_VERSION, interactions: this.recorded }, null, 2)}\n`;
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+    try {
+      await fs.writeFile(tempPath, content);
+      await fs.rename(tempPath, this.path);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async #load() {
+    if (!this.#interactions) {
+      this.#interactions = fs.readFile(this.path, 'utf8').then((content) => {
+        const cassette = JSON.parse(content);
+        if (cassette?.version !== CASSETTE_VERSION || !Array.isArray(cassette.interactions)) {
+          throw new KickInputError(`${this.path} is not a version ${CASSETTE_VERSION} cassette`);
+        }
+        return cassette.interactions;
+      });
+    }
+    return this.#interactions;
+  }
+
+  #findMatch(interactions, request) {
+    const matches = (recorded) => {
+      if (typeof this.match === 'function') return this.match(request, recorded);
+      if (recorded.method !== request.method || recorded.path !== request.path) return false;
+      return this.match === 'loose'
+        || (stableStringify(recorded.query) === stableStringify(request.query)
+          && stableStringify(recorded.body) === stableStringify(request.body));
+    };
+
+    let last = -1;
+    for (let index = 0; index < interactions.length; index += 1) {
+      if (!matches(interactions[index].request)) continue;
+      if (!this.#played.has(index)) return index;
+      last = index;
+    }
+    return this.match === 'loose' ? last : -1;
+  }
+
+  #verify(interactions, interaction) {
+    const index = this.#findMatch(interactions, interaction.request);
+    const request = describe(interaction.request);
+    if (index === -1) {
+      this.drift.push({ request, differences: ['no recorded interaction'] });
+      return;
+    }
+
+    this.#played.add(index);
+    const recorded = interactions[index].response;
+    const differences = diffShapes(recorded.body, interaction.response.body, 'body');
+    if (recorded.status !== interaction.response.status) {
+      differences.unshift(`status: ${recorded.status} → ${interaction.response.status}`);
+    }
+    if (differences.length > 0) this.drift.push({ request, differences });
+  }
+
+  #captureRequest(request, text) {
+    const url = new URL(request.url);
+    const query = {};
+    for (const [key, value] of url.searchParams) {
+      (query[key] ??= []).push(this.#isSecretField(key, true) ? REDACTED : value);
+    }
+
+    return {
+      method: request.method,
+      path: url.pathname,
+      query,
+      headers: this.#redactHeaders(request.headers),
+      body: this.#redactValue(parseBody(text, request.headers.get('content-type')), true),
+    };
+  }
+
+  #isSecretField(key, inRequest = false) {
+    return this.redactedFields.has(key) || (inRequest && REQUEST_ONLY_FIELDS.includes(key));
+  }
+
+  #redactHeaders(headers, skipped = new Set()) {
+    const result = {};
+    for (const [name, value] of headers) {
+      if (skipped.has(name.toLowerCase())) continue;
+      result[name] = this.redactedHeaders.has(name.toLowerCase()) ? REDACTED : value;
+    }
+    return result;
+  }
+
+  #redactValue(value, inRequest = false) {
+    if (Array.isArray(value)) return value.map((item) => this.#redactValue(item, inRequest));
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      this.#isSecretField(key, inRequest) && item !== null ? REDACTED : this.#redactValue(item, inRequest),
+    ]));
+  }
+}
+
+/**
+ * Differences in structure between two JSON values: added and removed keys and changed
+ * types. Array items are compared by the union of their shapes, so lists of different
+ * length do not count as drift.
+ * @param {unknown} before
+ * @param {unknown} after
+ * @param {string} [at]
+ * @returns {string[]}
+ */
+function diffShapes(before, after, at = '') {
+  const beforeType = shapeType(before);
+  const afterType = shapeType(after);
+  if (beforeType !== afterType) {
+    // A field that is sometimes null is not drift by itself.
+    return beforeType === 'null' || afterType === 'null' ? [] : [`${at}: ${beforeType} → ${afterType}`];
+  }
+
+  if (beforeType === 'array') {
+    return diffShapes(mergeItems(before), mergeItems(after), `${at}[]`);
+  }
+  if (beforeType !== 'object') return [];
+
+  const differences = [];
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const child = `${at}.${key}`;
+    if (!(key in after)) differences.push(`${child}: removed`);
+    else if (!(key in before)) differences.push(`${child}: added`);
+    else differences.push(...diffShapes(before[key], after[key], child));
+  }
+  return differences;
+}
+
+function mergeItems(items) {
+  const objects = items.filter((item) => shapeType(item) === 'object');
+  if (objects.length === 0) return items.find((item) => item !== null) ?? null;
+  return Object.assign({}, ...objects);
+}
+
+function shapeType(value) {
+  if (value === null || value === undefined) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function parseBody(text, contentType) {
+  if (!text) return null;
+  if (/application\/x-www-form-urlencoded/i.test(contentType ?? '')) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function toResponse({
+  status,
+  statusText,
+  headers,
+  body,
+}) {
+  const hasBody = body !== null && body !== undefined && status !== 204 && status !== 304;
+  return new Response(hasBody ? (typeof body === 'string' ? body : JSON.stringify(body)) : null, {
+    status,
+    statusText,
+    headers,
+  });
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function describe({ method, path: requestPath, query }) {
+  const search = new URLSearchParams(Object.entries(query).flatMap(([key, values]) => values.map((value) => [key, value])));
+  return `${method} ${requestPath}${search.size > 0 ? `?${search}` : ''}`;
+}
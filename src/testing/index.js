@@ -0,0 +1,3 @@
+export { KickMockServer } from './mock-server.js';
+export { KickWebhookSimulator } from './webhook-simulator.js';
+export { KickCassette } from './cassette.js';
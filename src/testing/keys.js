@@ -0,0 +1,17 @@
+import crypto from 'node:crypto';
+
+let sharedKeyPair = null;
+
+/**
+ * RSA key pair shared by `KickMockServer` and `KickWebhookSimulator` when no key is passed,
+ * so a mock server serves the key a simulator signs with. Generated on first use, once per
+ * process, because RSA key generation takes tens of milliseconds.
+ * @returns {{ privateKey: crypto.KeyObject, publicKey: string }} `publicKey` is SPKI PEM.
+ */
+export function getSharedKeyPair() {
+  if (!sharedKeyPair) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    sharedKeyPair = { privateKey, publicKey: publicKey.export({ type: 'spki', format: 'pem' }) };
+  }
+  return sharedKeyPair;
+}
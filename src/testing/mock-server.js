@@ -0,0 +1,884 @@
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { KICK_CHAT_MAX_LENGTH } from '../chat-sender.js';
+import { KickInputError } from '../errors.js';
+import { KICK_EVENT_TYPES } from '../events.js';
+import { KICK_METHOD_SCOPES, parseScopes } from '../scopes.js';
+import { getSharedKeyPair } from './keys.js';
+
+const API_PREFIX = '/public/v1';
+const MOCK_ORIGIN = 'http://kick.mock';
+
+/**
+ * @typedef {object} KickMockFault
+ * @property {string} [method] - Only match this HTTP method.
+ * @property {string | RegExp} [path] - Path without the `/public/v1` prefix (`/chat`, `/oauth/token`, ...).
+ * @property {number} [status] - Answer with this status instead of handling the request, e.g. 429 or 503.
+ * @property {number} [retryAfter] - `Retry-After` seconds sent with the injected status.
+ * @property {unknown} [body] - Response body for the injected status.
+ * @property {number} [latencyMs] - Delay the response.
+ * @property {number} [times] - Number of requests to affect; unlimited when omitted.
+ */
+
+/**
+ * @typedef {object} KickMockRequest
+ * @property {string} method
+ * @property {string} path - Without the `/public/v1` prefix.
+ * @property {Record<string, string[]>} query
+ * @property {unknown} body - Parsed JSON or form body.
+ * @property {string | null} accessToken
+ * @property {number} status - Status the mock answered with.
+ */
+
+/**
+ * In-memory stand-in for `api.kick.com` and `id.kick.com`. It implements every endpoint that
+ * `KickApiClient` and `KickAuthClient` call, issues and validates tokens, enforces the scopes
+ * in `KICK_METHOD_SCOPES`, and can inject latency and error responses.
+ *
+ * Either listen on a loopback port and pass `apiBaseUrl` / `oauthBaseUrl` as the clients'
+ * `baseUrl`, or skip the socket and pass `server.fetch` as `fetchImpl`:
+ *
+ * ```js
+ * const kick = await new KickMockServer().start();
+ * const user = kick.addUser({ name: 'streamer' });
+ * const tokens = kick.issueToken({ userId: user.user_id, scopes: ['chat:write'] });
+ * const client = new KickApiClient({ accessToken: tokens.access_token, baseUrl: kick.apiBaseUrl });
+ * ```
+ */
+export class KickMockServer {
+  #server = null;
+
+  #origin = null;
+
+  #faults = [];
+
+  #nextId = 1000;
+
+  #accessTokens = new Map();
+
+  #refreshTokens = new Map();
+
+  #codes = new Map();
+
+  #publicKey;
+
+  #privateKey;
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.clientId] - The only OAuth client the mock accepts.
+   * @param {string} [options.clientSecret]
+   * @param {Array<Parameters<KickMockServer['addUser']>[0]>} [options.users] - Users (with channels) to create.
+   * @param {Array<Parameters<KickMockServer['addCategory']>[0]>} [options.categories]
+   * @param {number} [options.tokenTtlSeconds] - `expires_in` of issued access tokens.
+   * @param {number} [options.latencyMs] - Delay added to every response.
+   * @param {number} [options.pageSize] - Items per page of `/categories`.
+   * @param {crypto.KeyObject | string} [options.privateKey] - Key whose public half `/public-key` serves.
+   * @param {string} [options.publicKey] - PEM key served by `/public-key`, when the private key is kept elsewhere.
+   *   Without either, the key pair `KickWebhookSimulator` signs with by default is used.
+   */
+  constructor({
+    clientId = 'mock-client-id',
+    clientSecret = 'mock-client-secret',
+    users = [],
+    categories = [],
+    tokenTtlSeconds = 3600,
+    latencyMs = 0,
+    pageSize = 100,
+    privateKey,
+    publicKey,
+  } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.tokenTtlSeconds = tokenTtlSeconds;
+    this.latencyMs = latencyMs;
+    this.pageSize = pageSize;
+    this.#privateKey = privateKey === undefined ? null : crypto.createPrivateKey(privateKey);
+    this.#publicKey = publicKey
+      ?? (this.#privateKey ? crypto.createPublicKey(this.#privateKey).export({ type: 'spki', format: 'pem' }) : null);
+
+    /** Users by id, in the shape `GET /users` returns. */
+    this.users = new Map();
+    /** Channels by broadcaster id, in the shape `GET /channels` returns. */
+    this.channels = new Map();
+    /** Categories by id. */
+    this.categories = new Map();
+    /** Event subscriptions by id. */
+    this.subscriptions = new Map();
+    /** Active bans keyed `${broadcasterUserId}:${userId}`. */
+    this.bans = new Map();
+    /** Kicks leaderboards by broadcaster id. */
+    this.leaderboards = new Map();
+    /** @type {Array<{ message_id: string, broadcaster_user_id: number, sender_user_id: number | null, type: string, content: string, reply_to_message_id: string | null }>} */
+    this.messages = [];
+    /** @type {KickMockRequest[]} */
+    this.requests = [];
+
+    for (const category of categories) this.addCategory(category);
+    for (const user of users) this.addUser(user);
+
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Base URL for `KickApiClient` and `KickChatClient`.
+   * @returns {string}
+   */
+  get apiBaseUrl() {
+    return `${this.#origin ?? MOCK_ORIGIN}${API_PREFIX}`;
+  }
+
+  /**
+   * Base URL for `KickAuthClient`.
+   * @returns {string}
+   */
+  get oauthBaseUrl() {
+    return this.#origin ?? MOCK_ORIGIN;
+  }
+
+  /**
+   * Listen on a loopback port.
+   * @param {object} [options]
+   * @param {number} [options.port] - `0` picks a free port.
+   * @param {string} [options.host]
+   * @returns {Promise<this>}
+   */
+  async start({ port = 0, host = '127.0.0.1' } = {}) {
+    if (this.#server) return this;
+
+    const server = http.createServer((req, res) => this.#handleNodeRequest(req, res));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+
+    const address = server.address();
+    this.#server = server;
+    this.#origin = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+    return this;
+  }
+
+  /**
+   * Stop listening and close open connections.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    const server = this.#server;
+    if (!server) return;
+    this.#server = null;
+    this.#origin = null;
+    server.closeAllConnections?.();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * `fetch` compatible entry point that serves requests without a socket. Only the URL path is
+   * routed on, so it also works with the clients' default base URLs.
+   * @param {RequestInfo | URL} input
+   * @param {RequestInit} [init]
+   * @returns {Promise<Response>}
+   */
+  async fetch(input, init) {
+    const request = new Request(input, init);
+    const url = new URL(request.url);
+    const text = await request.text();
+    const result = await this.#handle({
+      method: request.method,
+      url,
+      headers: request.headers,
+      text,
+      signal: init?.signal ?? request.signal,
+    });
+    return new Response(result.status === 204 ? null : JSON.stringify(result.body), {
+      status: result.status,
+      headers: result.headers,
+    });
+  }
+
+  /**
+   * Create a user and their channel.
+   * @param {object} user
+   * @param {number} [user.id] - Generated when omitted.
+   * @param {string} user.name
+   * @param {string} [user.email]
+   * @param {string} [user.profilePicture]
+   * @param {string} [user.slug] - Channel slug; defaults to the lowercased name.
+   * @param {string} [user.streamTitle]
+   * @param {number} [user.categoryId]
+   * @returns {{ user_id: number, name: string, email: string, profile_picture: string }}
+   */
+  addUser({
+    id = this.#nextId++,
+    name,
+    email = `${String(name).toLowerCase()}@example.com`,
+    profilePicture = '',
+    slug = String(name).toLowerCase(),
+    streamTitle = '',
+    categoryId,
+  }) {
+    if (typeof name !== 'string' || name === '') throw new KickInputError('name is required for a mock user');
+
+    const user = {
+      user_id: id,
+      name,
+      email,
+      profile_picture: profilePicture,
+    };
+    this.users.set(id, user);
+    this.channels.set(id, {
+      broadcaster_user_id: id,
+      slug,
+      channel_description: '',
+      banner_picture: '',
+      stream_title: streamTitle,
+      category: categoryRef(this.categories, categoryId),
+      stream: {
+        url: '',
+        key: '',
+        is_live: false,
+        is_mature: false,
+        language: 'en',
+        start_time: null,
+        viewer_count: 0,
+        thumbnail: '',
+        custom_tags: [],
+      },
+    });
+    return user;
+  }
+
+  /**
+   * @param {object} category
+   * @param {number} [category.id] - Generated when omitted.
+   * @param {string} category.name
+   * @param {string} [category.thumbnail]
+   * @returns {{ id: number, name: string, thumbnail: string }}
+   */
+  addCategory({ id = this.#nextId++, name, thumbnail = '' }) {
+    const category = { id, name, thumbnail };
+    this.categories.set(id, category);
+    return category;
+  }
+
+  /**
+   * Put a channel live, or update its live stream.
+   * @param {number} broadcasterUserId
+   * @param {object} [stream]
+   * @param {number} [stream.viewerCount]
+   * @param {string} [stream.language]
+   * @param {string} [stream.startedAt] - ISO timestamp; defaults to now.
+   * @param {boolean} [stream.isMature]
+   */
+  goLive(broadcasterUserId, {
+    viewerCount = 0,
+    language,
+    startedAt,
+    isMature,
+  } = {}) {
+    const channel = this.#requireChannel(broadcasterUserId);
+    Object.assign(channel.stream, {
+      is_live: true,
+      viewer_count: viewerCount,
+      start_time: startedAt ?? channel.stream.start_time ?? new Date().toISOString(),
+      ...(language === undefined ? {} : { language }),
+      ...(isMature === undefined ? {} : { is_mature: isMature }),
+    });
+  }
+
+  /**
+   * @param {number} broadcasterUserId
+   */
+  goOffline(broadcasterUserId) {
+    Object.assign(this.#requireChannel(broadcasterUserId).stream, { is_live: false, viewer_count: 0, start_time: null });
+  }
+
+  /**
+   * Replace a channel's Kicks leaderboard; entries are ranked by `gifted_amount`.
+   * @param {number} broadcasterUserId
+   * @param {{ lifetime?: object[], month?: object[], week?: object[] }} leaderboard
+   *   Entries with `user_id`, `username` and `gifted_amount`.
+   */
+  setLeaderboard(broadcasterUserId, { lifetime = [], month = [], week = [] }) {
+    this.#requireChannel(broadcasterUserId);
+    this.leaderboards.set(broadcasterUserId, { lifetime, month, week });
+  }
+
+  /**
+   * Issue tokens without going through `/oauth/token`. Omit `userId` for an app token.
+   * @param {object} [options]
+   * @param {number} [options.userId]
+   * @param {string[]} [options.scopes]
+   * @returns {{ access_token: string, refresh_token?: string, token_type: 'Bearer', expires_in: number, scope: string }}
+   */
+  issueToken({ userId = null, scopes = [] } = {}) {
+    if (userId !== null && !this.users.has(userId)) {
+      throw new KickInputError(`Mock user ${userId} does not exist`);
+    }
+    return this.#issueToken({ userId, scopes: parseScopes(scopes) });
+  }
+
+  /**
+   * Create an authorization code as if the user had approved the consent screen. Pass
+   * `codeChallenge` to have the exchange verify the PKCE `code_verifier`.
+   * @param {object} options
+   * @param {number} options.userId
+   * @param {string[]} [options.scopes]
+   * @param {string} options.redirectUri
+   * @param {string} [options.codeChallenge] - S256 challenge from `createPkcePair`.
+   * @returns {string}
+   */
+  createAuthorizationCode({
+    userId,
+    scopes = [],
+    redirectUri,
+    codeChallenge = null,
+  }) {
+    if (!this.users.has(userId)) throw new KickInputError(`Mock user ${userId} does not exist`);
+    const code = randomToken();
+    this.#codes.set(code, {
+      userId,
+      scopes: parseScopes(scopes),
+      redirectUri,
+      codeChallenge,
+    });
+    return code;
+  }
+
+  /**
+   * Make matching requests slow or fail. Faults are checked in the order they were added.
+   * @param {KickMockFault} fault
+   * @returns {() => void} Removes the fault.
+   */
+  inject(fault) {
+    const entry = { ...fault, remaining: fault.times ?? Infinity };
+    this.#faults.push(entry);
+    return () => {
+      this.#faults = this.#faults.filter((candidate) => candidate !== entry);
+    };
+  }
+
+  /**
+   * Remove every injected fault.
+   */
+  clearFaults() {
+    this.#faults = [];
+  }
+
+  async #handleNodeRequest(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    try {
+      const result = await this.#handle({
+        method: req.method,
+        url: new URL(req.url ?? '/', this.#origin),
+        headers: new Headers(Object.entries(req.headers).flatMap(([key, value]) => (
+          Array.isArray(value) ? value.map((item) => [key, item]) : [[key, value]]
+        ))),
+        text: Buffer.concat(chunks).toString('utf8'),
+        signal: controller.signal,
+      });
+      res.writeHead(result.status, result.headers);
+      res.end(result.status === 204 ? undefined : JSON.stringify(result.body));
+    } catch (error) {
+      if (!controller.signal.aborted) res.writeHead(500).end(JSON.stringify({ message: String(error?.message ?? error) }));
+    }
+  }
+
+  async #handle({
+    method,
+    url,
+    headers,
+    text,
+    signal,
+  }) {
+    const path = url.pathname.startsWith(API_PREFIX) ? url.pathname.slice(API_PREFIX.length) || '/' : url.pathname;
+    const query = {};
+    for (const [key, value] of url.searchParams) (query[key] ??= []).push(value);
+    const body = parseBody(text, headers.get('content-type'));
+    const accessToken = /^Bearer\s+(.+)$/i.exec(headers.get('authorization') ?? '')?.[1] ?? null;
+    const request = {
+      method,
+      path,
+      query,
+      body,
+      accessToken,
+      status: 0,
+    };
+    this.requests.push(request);
+
+    const fault = this.#takeFault(method, path);
+    const latencyMs = this.latencyMs + (fault?.latencyMs ?? 0);
+    if (latencyMs > 0) await sleep(latencyMs, undefined, { signal });
+
+    let result;
+    if (fault?.status) {
+      result = reply(fault.status, fault.body ?? { message: `Injected ${fault.status} response` });
+      if (fault.retryAfter !== undefined) result.headers['retry-after'] = String(fault.retryAfter);
+    } else {
+      result = this.#route(request);
+    }
+    request.status = result.status;
+    return result;
+  }
+
+  #takeFault(method, path) {
+    const fault = this.#faults.find((candidate) => candidate.remaining > 0
+      && (!candidate.method || candidate.method.toUpperCase() === method)
+      && (candidate.path === undefined
+        || (candidate.path instanceof RegExp ? candidate.path.test(path) : candidate.path === path)));
+    if (fault) fault.remaining -= 1;
+    return fault ?? null;
+  }
+
+  /**
+   * PEM key served by `/public-key`.
+   * @returns {string}
+   */
+  get publicKey() {
+    return this.#publicKey ?? getSharedKeyPair().publicKey;
+  }
+
+  /**
+   * Private half of `publicKey`, for signing deliveries by hand; `null` when only a public key was given.
+   * @returns {crypto.KeyObject | null}
+   */
+  get privateKey() {
+    return this.#publicKey ? this.#privateKey : getSharedKeyPair().privateKey;
+  }
+
+  #route(request) {
+    const { method, path } = request;
+    const route = `${method} ${path.replace(/^\/categories\/[^/]+$/, '/categories/:id')}`;
+
+    switch (route) {
+      case 'POST /oauth/token':
+        return this.#oauthToken(request);
+      case 'POST /oauth/revoke':
+        return this.#oauthRevoke(request);
+      default:
+        break;
+    }
+
+    const handler = API_ROUTES[route];
+    if (!handler) return reply(404, { message: `No mock route for ${method} ${path}` });
+
+    if (handler.public) return handler.handle.call(this, request, null);
+
+    const token = this.#authenticate(request.accessToken);
+    if (!token) return reply(401, { message: 'Unauthorized' });
+
+    const missing = (KICK_METHOD_SCOPES[handler.operation] ?? []).filter((scope) => !token.scopes.includes(scope));
+    if (missing.length > 0) {
+      return reply(403, { message: `Missing required scope: ${missing.join(' ')}` }, {
+        'www-authenticate': `Bearer error="insufficient_scope", scope="${missing.join(' ')}"`,
+      });
+    }
+    return handler.handle.call(this, request, token);
+  }
+
+  #authenticate(accessToken) {
+    const token = accessToken ? this.#accessTokens.get(accessToken) : null;
+    if (!token) return null;
+    if (token.expiresAt <= Date.now()) {
+      this.#accessTokens.delete(accessToken);
+      return null;
+    }
+    return token;
+  }
+
+  #oauthToken({ body }) {
+    const params = body ?? {};
+    if (params.client_id !== this.clientId || (params.client_secret !== undefined && params.client_secret !== this.clientSecret)) {
+      return reply(401, { error: 'invalid_client', error_description: 'Unknown client or wrong client secret' });
+    }
+
+    switch (params.grant_type) {
+      case 'client_credentials':
+        return reply(200, this.#issueToken({ userId: null, scopes: parseScopes(params.scope) }));
+      case 'authorization_code': {
+        const code = this.#codes.get(params.code);
+        this.#codes.delete(params.code);
+        if (!code || code.redirectUri !== params.redirect_uri) {
+          return invalidGrant('The authorization code is invalid, expired or was issued to another redirect URI');
+        }
+        if (code.codeChallenge && pkceChallenge(params.code_verifier ?? '') !== code.codeChallenge) {
+          return invalidGrant('The code verifier does not match the code challenge');
+        }
+        return reply(200, this.#issueToken(code));
+      }
+      case 'refresh_token': {
+        const grant = this.#refreshTokens.get(params.refresh_token);
+        if (!grant) return invalidGrant('The refresh token is invalid or was already used');
+        // Kick rotates refresh tokens: the old one stops working once it has been used.
+        this.#refreshTokens.delete(params.refresh_token);
+        return reply(200, this.#issueToken(grant));
+      }
+      default:
+        return reply(400, { error: 'unsupported_grant_type', error_description: `Unsupported grant_type ${params.grant_type}` });
+    }
+  }
+
+  #oauthRevoke({ query }) {
+    const token = query.token?.[0];
+    if (!token) return reply(400, { error: 'invalid_request', error_description: 'token is required' });
+    this.#accessTokens.delete(token);
+    this.#refreshTokens.delete(token);
+    return reply(200, {});
+  }
+
+  #issueToken({ userId, scopes }) {
+    const accessToken = randomToken();
+    this.#accessTokens.set(accessToken, {
+      userId,
+      scopes,
+      expiresAt: Date.now() + this.tokenTtlSeconds * 1000,
+    });
+
+    const response = {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: this.tokenTtlSeconds,
+      scope: scopes.join(' '),
+    };
+    if (userId !== null) {
+      response.refresh_token = randomToken();
+      this.#refreshTokens.set(response.refresh_token, { userId, scopes });
+    }
+    return response;
+  }
+
+  #requireChannel(broadcasterUserId) {
+    const channel = this.channels.get(Number(broadcasterUserId));
+    if (!channel) throw new KickInputError(`Mock channel ${broadcasterUserId} does not exist`);
+    return channel;
+  }
+}
+
+// Handlers run with the server as `this`, after the token and its scopes were checked.
+const API_ROUTES = {
+  'POST /chat': {
+    operation: 'sendChatMessage',
+    handle({ body }, token) {
+      const { type, content } = body ?? {};
+      const errors = [];
+      if (type !== 'bot' && type !== 'user') errors.push({ field: 'type', message: 'type must be bot or user' });
+      if (typeof content !== 'string' || content.trim() === '') {
+        errors.push({ field: 'content', message: 'content is required' });
+      } else if (Array.from(content).length > KICK_CHAT_MAX_LENGTH) {
+        errors.push({ field: 'content', message: `content may not be longer than ${KICK_CHAT_MAX_LENGTH} characters` });
+      }
+
+      const broadcasterUserId = body?.broadcaster_user_id ?? (type === 'bot' ? token.userId : undefined);
+      if (broadcasterUserId === undefined || broadcasterUserId === null) {
+        errors.push({ field: 'broadcaster_user_id', message: 'broadcaster_user_id is required' });
+      } else if (!this.channels.has(Number(broadcasterUserId))) {
+        return reply(404, { message: `Channel ${broadcasterUserId} not found` });
+      }
+      if (errors.length > 0) return reply(422, { message: 'Validation failed', errors });
+
+      const message = {
+        message_id: crypto.randomUUID(),
+        broadcaster_user_id: Number(broadcasterUserId),
+        sender_user_id: token.userId,
+        type,
+        content,
+        reply_to_message_id: body.reply_to_message_id ?? null,
+      };
+      this.messages.push(message);
+      return ok({ is_sent: true, message_id: message.message_id });
+    },
+  },
+
+  'GET /categories': {
+    operation: 'searchCategories',
+    handle({ query }) {
+      const search = (query.q?.[0] ?? '').toLowerCase();
+      if (search === '') return validationError('q', 'q is required');
+
+      const page = Math.max(1, Number(query.page?.[0] ?? 1));
+      const matches = [...this.categories.values()].filter((category) => category.name.toLowerCase().includes(search));
+      return ok(matches.slice((page - 1) * this.pageSize, page * this.pageSize));
+    },
+  },
+
+  'GET /categories/:id': {
+    operation: 'getCategoryById',
+    handle({ path }) {
+      const category = this.categories.get(Number(path.split('/').pop()));
+      return category ? ok(category) : reply(404, { message: 'Category not found' });
+    },
+  },
+
+  'GET /channels': {
+    operation: 'getChannels',
+    handle({ query }, token) {
+      if (query.broadcaster_user_id && query.slug) {
+        return validationError('slug', 'broadcaster_user_id and slug cannot be combined');
+      }
+
+      let channels;
+      if (query.broadcaster_user_id) {
+        channels = query.broadcaster_user_id.map((id) => this.channels.get(Number(id)));
+      } else if (query.slug) {
+        const slugs = new Set(query.slug);
+        channels = [...this.channels.values()].filter((channel) => slugs.has(channel.slug));
+      } else {
+        channels = [this.channels.get(token.userId)];
+      }
+      return ok(channels.filter(Boolean));
+    },
+  },
+
+  'PATCH /channels': {
+    operation: 'updateChannelMetadata',
+    handle({ body }, token) {
+      const channel = this.channels.get(token.userId);
+      if (!channel) return reply(401, { message: 'A user access token is required' });
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return validationError('body', 'A JSON object body is required');
+      }
+      if (body.category_id !== undefined && !this.categories.has(Number(body.category_id))) {
+        return validationError('category_id', 'Unknown category');
+      }
+
+      if (body.category_id !== undefined) channel.category = categoryRef(this.categories, body.category_id);
+      if (body.stream_title !== undefined) channel.stream_title = body.stream_title;
+      if (Array.isArray(body.custom_tags)) channel.stream.custom_tags = [...body.custom_tags];
+      return reply(204);
+    },
+  },
+
+  'GET /events/subscriptions': {
+    operation: 'listEventSubscriptions',
+    handle({ query }) {
+      const broadcaster = query.broadcaster_user_id?.[0];
+      return ok([...this.subscriptions.values()].filter((subscription) => broadcaster === undefined
+        || subscription.broadcaster_user_id === Number(broadcaster)));
+    },
+  },
+
+  'POST /events/subscriptions': {
+    operation: 'createEventSubscriptions',
+    handle({ body }, token) {
+      const broadcasterUserId = body?.broadcaster_user_id ?? token.userId;
+      if (broadcasterUserId === null || broadcasterUserId === undefined) {
+        return validationError('broadcaster_user_id', 'broadcaster_user_id is required with an app access token');
+      }
+      if (body?.method !== 'webhook') return validationError('method', 'method must be webhook');
+      if (!Array.isArray(body.events) || body.events.length === 0) return validationError('events', 'events are required');
+
+      const now = new Date().toISOString();
+      return ok(body.events.map(({ name, version }) => {
+        if (!KICK_EVENT_TYPES.includes(name) || version !== 1) {
+          return { name, version, error: `Unsupported event ${name} v${version}` };
+        }
+        const subscription = {
+          id: crypto.randomUUID(),
+          app_id: this.clientId,
+          broadcaster_user_id: Number(broadcasterUserId),
+          event: name,
+          version,
+          method: 'webhook',
+          created_at: now,
+          updated_at: now,
+        };
+        this.subscriptions.set(subscription.id, subscription);
+        return { name, version, subscription_id: subscription.id };
+      }));
+    },
+  },
+
+  'DELETE /events/subscriptions': {
+    operation: 'deleteEventSubscriptions',
+    handle({ query }) {
+      if (!query.id) return validationError('id', 'id is required');
+      for (const id of query.id) this.subscriptions.delete(id);
+      return reply(204);
+    },
+  },
+
+  'GET /livestreams': {
+    operation: 'getLivestreams',
+    handle({ query }) {
+      const limit = Number(query.limit?.[0] ?? 25);
+      if (!(limit >= 1 && limit <= 100)) return validationError('limit', 'limit must be between 1 and 100');
+
+      const ids = query.broadcaster_user_id ? new Set(query.broadcaster_user_id.map(Number)) : null;
+      const categoryId = query.category_id ? Number(query.category_id[0]) : null;
+      const language = query.language?.[0] ?? null;
+      const sort = query.sort?.[0] ?? 'viewer_count';
+
+      const streams = [...this.channels.values()]
+        .filter((channel) => channel.stream.is_live
+          && (!ids || ids.has(channel.broadcaster_user_id))
+          && (categoryId === null || channel.category.id === categoryId)
+          && (language === null || channel.stream.language === language))
+        .map((channel) => ({
+          broadcaster_user_id: channel.broadcaster_user_id,
+          channel_id: channel.broadcaster_user_id,
+          slug: channel.slug,
+          stream_title: channel.stream_title,
+          language: channel.stream.language,
+          has_mature_content: channel.stream.is_mature,
+          viewer_count: channel.stream.viewer_count,
+          thumbnail: channel.stream.thumbnail,
+          started_at: channel.stream.start_time,
+          profile_picture: this.users.get(channel.broadcaster_user_id)?.profile_picture ?? '',
+          custom_tags: channel.stream.custom_tags,
+          category: { ...channel.category },
+        }))
+        .sort((a, b) => (sort === 'started_at'
+          ? String(b.started_at).localeCompare(String(a.started_at))
+          : b.viewer_count - a.viewer_count));
+      return ok(streams.slice(0, limit));
+    },
+  },
+
+  'GET /livestreams/stats': {
+    operation: 'getLivestreamStats',
+    handle() {
+      return ok({ total_count: [...this.channels.values()].filter((channel) => channel.stream.is_live).length });
+    },
+  },
+
+  'POST /moderation/bans': {
+    operation: 'banUser',
+    handle({ body }, token) {
+      const failure = checkModeration.call(this, body, token);
+      if (failure) return failure;
+      if (body.duration !== undefined && !(body.duration >= 1 && body.duration <= 10_080)) {
+        return validationError('duration', 'duration must be between 1 and 10080 minutes');
+      }
+
+      this.bans.set(`${body.broadcaster_user_id}:${body.user_id}`, {
+        broadcaster_user_id: body.broadcaster_user_id,
+        user_id: body.user_id,
+        reason: body.reason ?? null,
+        expires_at: body.duration === undefined ? null : new Date(Date.now() + body.duration * 60_000).toISOString(),
+      });
+      return ok({});
+    },
+  },
+
+  'DELETE /moderation/bans': {
+    operation: 'unbanUser',
+    handle({ body }, token) {
+      const failure = checkModeration.call(this, body, token);
+      if (failure) return failure;
+      this.bans.delete(`${body.broadcaster_user_id}:${body.user_id}`);
+      return ok({});
+    },
+  },
+
+  'GET /kicks/leaderboard': {
+    operation: 'getKicksLeaderboard',
+    handle({ query }, token) {
+      const top = Number(query.top?.[0] ?? 10);
+      if (!(top >= 1 && top <= 100)) return validationError('top', 'top must be between 1 and 100');
+
+      const board = this.leaderboards.get(token.userId) ?? {};
+      const rank = (entries = []) => [...entries]
+        .sort((a, b) => b.gifted_amount - a.gifted_amount)
+        .slice(0, top)
+        .map((entry, index) => ({ ...entry, rank: index + 1 }));
+      return ok({ lifetime: rank(board.lifetime), month: rank(board.month), week: rank(board.week) });
+    },
+  },
+
+  // Kick serves its webhook key without a token, and `KickWebhookReceiver` fetches it without one.
+  'GET /public-key': {
+    operation: 'getPublicKey',
+    public: true,
+    handle() {
+      return ok({ public_key: this.publicKey });
+    },
+  },
+
+  'GET /users': {
+    operation: 'getUsers',
+    handle({ query }, token) {
+      const ids = query.id ? query.id.map(Number) : [token.userId];
+      return ok(ids.map((id) => this.users.get(id)).filter(Boolean).map((user) => (
+        user.user_id === token.userId ? user : { ...user, email: '' }
+      )));
+    },
+  },
+
+  'POST /token/introspect': {
+    operation: 'introspectToken',
+    handle(request, token) {
+      return ok({
+        active: true,
+        client_id: this.clientId,
+        token_type: token.userId === null ? 'app' : 'user',
+        scope: token.scopes.join(' '),
+        exp: Math.floor(token.expiresAt / 1000),
+      });
+    },
+  },
+};
+
+function categoryRef(categories, categoryId) {
+  const category = categoryId === undefined ? null : categories.get(Number(categoryId));
+  return category ? { ...category } : { id: 0, name: '', thumbnail: '' };
+}
+
+function checkModeration(body, token) {
+  if (typeof body?.broadcaster_user_id !== 'number' || typeof body?.user_id !== 'number') {
+    return validationError('user_id', 'broadcaster_user_id and user_id are required');
+  }
+  if (!this.channels.has(body.broadcaster_user_id)) return reply(404, { message: 'Channel not found' });
+  if (!this.users.has(body.user_id)) return reply(404, { message: 'User not found' });
+  if (token.userId !== body.broadcaster_user_id) {
+    return reply(403, { message: 'Only the broadcaster can moderate this channel' });
+  }
+  if (body.user_id === body.broadcaster_user_id) return validationError('user_id', 'You cannot ban yourself');
+  return null;
+}
+
+function reply(status, body = null, headers = {}) {
+  return {
+    status,
+    body,
+    headers: status === 204 ? headers : { 'content-type': 'application/json', ...headers },
+  };
+}
+
+function ok(data) {
+  return reply(200, { data, message: 'OK' });
+}
+
+function validationError(field, message) {
+  return reply(422, { message, errors: [{ field, message }] });
+}
+
+function invalidGrant(description) {
+  return reply(400, { error: 'invalid_grant', error_description: description });
+}
+
+function parseBody(text, contentType) {
+  if (!text) return null;
+  if (/application\/x-www-form-urlencoded/i.test(contentType ?? '')) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function pkceChallenge(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+function randomToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
@@ -0,0 +1,377 @@
+import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
+import { KickInputError } from '../errors.js';
+import { KICK_EVENT_TYPES } from '../events.js';
+import { KICK_WEBHOOK_HEADERS } from '../webhooks.js';
+import { getSharedKeyPair } from './keys.js';
+
+const EMOTE_PATTERN = /\[emote:(\d+):[^\]\s:]+\]/g;
+
+/**
+ * @typedef {object} KickSimulatedDelivery
+ * @property {Record<string, string>} headers - Kick webhook headers, including the signature.
+ * @property {string} body - Raw JSON body that was signed.
+ * @property {any} payload - The payload before serialization.
+ */
+
+/**
+ * @typedef {object} KickSimulatedDeliveryOptions
+ * @property {object} [payload] - Deep-merged over the generated payload; arrays are replaced.
+ * @property {string} [messageId]
+ * @property {string} [subscriptionId]
+ * @property {string} [timestamp] - Defaults to now, as an ISO timestamp.
+ * @property {number} [version]
+ * @property {string | null} [appSecret] - Overrides the simulator's `Kick-App-Secret`; `null` omits it.
+ */
+
+/**
+ * Produces webhook deliveries that pass `KickWebhookReceiver` verification. The simulator
+ * signs `messageId.timestamp.body` with an RSA key exactly as Kick does, so handler tests
+ * exercise the real signature check instead of disabling it.
+ *
+ * ```js
+ * const simulator = new KickWebhookSimulator({ appSecret: 'secret' });
+ * const receiver = new KickWebhookReceiver({ publicKey: simulator.publicKey, appSecret: 'secret' });
+ * const event = await receiver.verify(simulator.build('chat.message.sent', { payload: { content: '!ping' } }));
+ * ```
+ */
+export class KickWebhookSimulator {
+  #privateKey;
+
+  #nextUserId = 100;
+
+  /**
+   * @param {object} [options]
+   * @param {object} [options.broadcaster] - Broadcaster used in every payload, in webhook (snake_case) shape.
+   * @param {string} [options.appSecret] - Sent as `Kick-App-Secret`.
+   * @param {string} [options.subscriptionId] - Default `Kick-Event-Subscription-Id`.
+   * @param {crypto.KeyObject | string} [options.privateKey] - Signing key; by default a 2048-bit RSA key shared
+   *   with `KickMockServer`, so the mock server's `/public-key` verifies the deliveries.
+   * @param {typeof fetch} [options.fetchImpl] - Used by `deliver`.
+   */
+  constructor({
+    broadcaster = {},
+    appSecret,
+    subscriptionId = crypto.randomUUID(),
+    privateKey,
+    fetchImpl = globalThis.fetch,
+  } = {}) {
+    const key = privateKey === undefined ? getSharedKeyPair().privateKey : crypto.createPrivateKey(privateKey);
+
+    this.#privateKey = key;
+    this.publicKey = crypto.createPublicKey(key).export({ type: 'spki', format: 'pem' });
+    this.appSecret = appSecret ?? null;
+    this.subscriptionId = subscriptionId;
+    this.fetchImpl = fetchImpl;
+    this.broadcaster = this.user({
+      user_id: 123456,
+      username: 'streamer',
+      ...broadcaster,
+    });
+
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Body of a `GET /public-key` response carrying the simulator's key.
+   * @returns {{ data: { public_key: string }, message: string }}
+   */
+  get publicKeyResponse() {
+    return { data: { public_key: this.publicKey }, message: 'OK' };
+  }
+
+  /**
+   * `fetch` compatible function answering `GET /public-key` with `publicKeyResponse`, for a
+   * `KickApiClient` given to `KickWebhookReceiver` as `client`. Other paths answer 404.
+   * @param {RequestInfo | URL} input
+   * @param {RequestInit} [init]
+   * @returns {Promise<Response>}
+   */
+  async fetch(input, init) {
+    const request = new Request(input, init);
+    if (request.method === 'GET' && new URL(request.url).pathname.endsWith('/public-key')) {
+      return Response.json(this.publicKeyResponse);
+    }
+    return Response.json({ message: 'Not found' }, { status: 404 });
+  }
+
+  /**
+   * A user in webhook shape, with a generated id when none is given.
+   * @param {object} [fields] - snake_case fields such as `user_id`, `username` or `identity`.
+   * @returns {object}
+   */
+  user(fields = {}) {
+    const userId = fields.user_id ?? this.#nextUserId++;
+    const username = fields.username ?? `user${userId}`;
+    return {
+      is_anonymous: false,
+      user_id: userId,
+      username,
+      is_verified: false,
+      profile_picture: `https://files.kick.com/images/user/${userId}/profile_image/conversion/default-thumb.webp`,
+      channel_slug: username.toLowerCase(),
+      identity: null,
+      ...fields,
+    };
+  }
+
+  /**
+   * Realistic payload for an event type, as Kick sends it.
+   * @param {string} type - One of `KICK_EVENT_TYPES`.
+   * @param {object} [overrides] - Deep-merged over the generated payload; arrays are replaced.
+   * @returns {any}
+   */
+  payload(type, overrides = {}) {
+    const build = PAYLOADS[type];
+    if (!build) {
+      throw new KickInputError(`Unknown event type ${type}; expected one of ${KICK_EVENT_TYPES.join(', ')}`);
+    }
+
+    const payload = merge(build.call(this, new Date()), overrides);
+    if (type === 'chat.message.sent' && overrides.emotes === undefined) {
+      payload.emotes = findEmotes(payload.content);
+    }
+    return payload;
+  }
+
+  /**
+   * Sign a delivery the way Kick does.
+   * @param {object} options
+   * @param {string} options.messageId
+   * @param {string} options.timestamp
+   * @param {string | Buffer} options.body
+   * @returns {string} Base64 RSA-SHA256 signature for `kick-event-signature`.
+   */
+  sign({ messageId, timestamp, body }) {
+    const signer = crypto.createSign('RSA-SHA256');
+    signer.update(`${messageId}.${timestamp}.`);
+    signer.update(body);
+    signer.end();
+    return signer.sign(this.#privateKey, 'base64');
+  }
+
+  /**
+   * Build a signed delivery. The result can be passed to `KickWebhookReceiver#verify` as is.
+   * @param {string} type
+   * @param {KickSimulatedDeliveryOptions} [options]
+   * @returns {KickSimulatedDelivery}
+   */
+  build(type, {
+    payload: overrides,
+    messageId = crypto.randomUUID(),
+    subscriptionId = this.subscriptionId,
+    timestamp = new Date().toISOString(),
+    version = 1,
+    appSecret = this.appSecret,
+  } = {}) {
+    const payload = this.payload(type, overrides);
+    const body = JSON.stringify(payload);
+    const headers = {
+      'content-type': 'application/json',
+      [KICK_WEBHOOK_HEADERS.messageId]: messageId,
+      [KICK_WEBHOOK_HEADERS.subscriptionId]: subscriptionId,
+      [KICK_WEBHOOK_HEADERS.signature]: this.sign({ messageId, timestamp, body }),
+      [KICK_WEBHOOK_HEADERS.timestamp]: timestamp,
+      [KICK_WEBHOOK_HEADERS.type]: type,
+      [KICK_WEBHOOK_HEADERS.version]: String(version),
+    };
+    if (appSecret) headers[KICK_WEBHOOK_HEADERS.appSecret] = appSecret;
+
+    return { headers, body, payload };
+  }
+
+  /**
+   * POST a signed delivery to a webhook URL.
+   * @param {string | URL} url
+   * @param {string} type
+   * @param {KickSimulatedDeliveryOptions} [options]
+   * @returns {Promise<{ status: number, body: string, delivery: KickSimulatedDelivery }>}
+   */
+  async deliver(url, type, options) {
+    const delivery = this.build(type, options);
+    const response = await this.fetchImpl(url, {
+      method: 'POST',
+      headers: delivery.headers,
+      body: delivery.body,
+    });
+    return { status: response.status, body: await response.text(), delivery };
+  }
+
+  /**
+   * Run a Node.js request listener, such as `receiver.createRequestHandler(router)`, with a
+   * signed delivery and no socket.
+   * @param {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => unknown} listener
+   * @param {string} type
+   * @param {KickSimulatedDeliveryOptions & { path?: string }} [options]
+   * @returns {Promise<{ status: number, body: string, delivery: KickSimulatedDelivery }>}
+   */
+  async invoke(listener, type, { path = '/', ...options } = {}) {
+    if (typeof listener !== 'function') throw new KickInputError('invoke() needs a request listener');
+
+    const delivery = this.build(type, options);
+    const req = Object.assign(Readable.from([Buffer.from(delivery.body)]), {
+      method: 'POST',
+      url: path,
+      headers: delivery.headers,
+    });
+
+    const result = await new Promise((resolve, reject) => {
+      const res = {
+        statusCode: 200,
+        writeHead(status) {
+          this.statusCode = status;
+          return this;
+        },
+        end(chunk) {
+          resolve({ status: this.statusCode, body: chunk === undefined ? '' : String(chunk) });
+          return this;
+        },
+      };
+      Promise.resolve(listener(req, res)).catch(reject);
+    });
+    return { ...result, delivery };
+  }
+}
+
+// Payload builders run with the simulator as `this`.
+const PAYLOADS = {
+  'chat.message.sent'(now) {
+    return {
+      message_id: crypto.randomUUID(),
+      replies_to: null,
+      broadcaster: this.broadcaster,
+      sender: this.user({ identity: { username_color: '#00e701', badges: [] } }),
+      content: 'Hello chat',
+      emotes: [],
+      created_at: now.toISOString(),
+    };
+  },
+  'channel.followed'() {
+    return {
+      broadcaster: this.broadcaster,
+      follower: this.user(),
+    };
+  },
+  'channel.subscription.new'(now) {
+    return {
+      broadcaster: this.broadcaster,
+      subscriber: this.user(),
+      duration: 1,
+      created_at: now.toISOString(),
+      expires_at: addDays(now, 30),
+    };
+  },
+  'channel.subscription.renewal'(now) {
+    return {
+      broadcaster: this.broadcaster,
+      subscriber: this.user(),
+      duration: 3,
+      created_at: now.toISOString(),
+      expires_at: addDays(now, 30),
+    };
+  },
+  'channel.subscription.gifts'(now) {
+    return {
+      broadcaster: this.broadcaster,
+      gifter: this.user(),
+      giftees: [this.user(), this.user()],
+      created_at: now.toISOString(),
+      expires_at: addDays(now, 30),
+    };
+  },
+  'channel.reward.redemption.updated'(now) {
+    return {
+      id: crypto.randomUUID(),
+      user_input: '',
+      status: 'accepted',
+      redeemed_at: now.toISOString(),
+      reward: {
+        id: crypto.randomUUID(),
+        title: 'Hydrate',
+        cost: 500,
+        description: 'Make the streamer drink some water',
+      },
+      redeemer: this.user(),
+      broadcaster: this.broadcaster,
+    };
+  },
+  'livestream.status.updated'(now) {
+    return {
+      broadcaster: this.broadcaster,
+      is_live: true,
+      title: 'Live now',
+      started_at: now.toISOString(),
+      ended_at: null,
+    };
+  },
+  'livestream.metadata.updated'() {
+    return {
+      broadcaster: this.broadcaster,
+      metadata: {
+        title: 'Live now',
+        language: 'en',
+        has_mature_content: false,
+        category: {
+          id: 15,
+          name: 'Just Chatting',
+          thumbnail: 'https://files.kick.com/images/subcategories/15/banner/default.webp',
+        },
+      },
+    };
+  },
+  'moderation.banned'(now) {
+    return {
+      broadcaster: this.broadcaster,
+      moderator: this.broadcaster,
+      banned_user: this.user(),
+      metadata: {
+        reason: 'Spam',
+        created_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + 10 * 60_000).toISOString(),
+      },
+    };
+  },
+  'kicks.gifted'(now) {
+    return {
+      broadcaster: this.broadcaster,
+      sender: this.user(),
+      gift: {
+        amount: 100,
+        name: 'Full Send',
+        type: 'BASIC',
+        tier: 'BASIC',
+        message: 'Love the stream!',
+        pinned_time_seconds: 0,
+      },
+      created_at: now.toISOString(),
+    };
+  },
+};
+
+// Kick reports emote positions as inclusive character offsets grouped by emote id.
+function findEmotes(content) {
+  const byId = new Map();
+  for (const match of String(content ?? '').matchAll(EMOTE_PATTERN)) {
+    const positions = byId.get(match[1]) ?? [];
+    positions.push({ s: match.index, e: match.index + match[0].length - 1 });
+    byId.set(match[1], positions);
+  }
+  return [...byId].map(([emoteId, positions]) => ({ emote_id: emoteId, positions }));
+}
+
+function merge(target, source) {
+  if (!isPlainObject(source)) return source === undefined ? target : source;
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] = isPlainObject(value) && isPlainObject(target?.[key]) ? merge(target[key], value) : value;
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 86_400_000).toISOString();
+}
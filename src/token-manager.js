@@ -0,0 +1,351 @@
+import {
+  KickApiError,
+  KickAuthorizationError,
+  KickInputError,
+  KickNetworkError,
+} from './errors.js';
+
+const DEFAULT_REFRESH_MARGIN_MS = 120_000;
+const DEFAULT_RETRY_DELAY_MS = 30_000;
+const DEFAULT_MAX_RETRY_DELAY_MS = 10 * 60_000;
+// setTimeout fires immediately for delays above 2^31 - 1 ms (about 24.8 days).
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Whether a failed refresh can never succeed by retrying: the OAuth server rejected the
+ * request itself (`invalid_grant` for a revoked, expired or already rotated refresh token,
+ * `invalid_client`, ...). Network failures, timeouts, 408, 429 and 5xx responses are transient.
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isTerminalRefreshError(error) {
+  if (!(error instanceof KickApiError) || error instanceof KickNetworkError) return false;
+  return error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+}
+
+/**
+ * @typedef {object} KickTokenSet
+ * @property {string | null} accessToken
+ * @property {string | null} refreshToken
+ * @property {number | null} expiresAt - Epoch milliseconds after which the access token is expired.
+ * @property {string | null} scope - Space separated scopes granted to the token.
+ * @property {string | null} tokenType
+ */
+
+/**
+ * Keeps a user access token fresh by refreshing it through `KickAuthClient`.
+ *
+ * Refreshes happen ahead of expiry, concurrent callers share a single refresh, and
+ * rotated refresh tokens are written to `store` and handed to `onRefresh` before anyone
+ * uses the new access token. Failed background refreshes are retried with exponential
+ * backoff. When the OAuth server rejects the refresh token outright (see
+ * `isTerminalRefreshError`), the manager moves to the `needs_reauth` state: it stops
+ * refreshing, calls `onReauthRequired`, and every later refresh rejects with a
+ * `KickAuthorizationError` (reason `needs_reauth`) until `setTokens` provides new tokens.
+ * Pass the manager as `tokenManager` to `KickApiClient` or `KickChatClient` to have a 401
+ * trigger one refresh and a replay of the request.
+ */
+export class KickTokenManager {
+  #tokens;
+
+  #refreshing = null;
+
+  #timer = null;
+
+  #state = 'active';
+
+  #reauthError = null;
+
+  #failures = 0;
+
+  /**
+   * @param {object} options
+   * @param {import('./auth.js').KickAuthClient} options.authClient
+   * @param {Partial<KickTokenSet> | object} [options.tokens] - Initial tokens, camelCase or as returned by the OAuth endpoint.
+   * @param {number} [options.refreshMarginMs] - Refresh this long before `expiresAt`.
+   * @param {number} [options.retryDelayMs] - Delay before retrying a failed scheduled refresh; doubles on every consecutive failure.
+   * @param {number} [options.maxRetryDelayMs] - Upper bound for the retry delay.
+   * @param {boolean} [options.autoRefresh] - Schedule refreshes in the background after every token change.
+   * @param {import('./token-store.js').KickTokenStore} [options.store] - Store that rotated tokens are written to.
+   * @param {string | number} [options.storeKey] - Record key in `store`, usually the broadcaster id.
+   * @param {(tokens: KickTokenSet) => unknown} [options.onRefresh] - Called with rotated tokens; awaited before the refresh resolves.
+   * @param {(error: unknown) => void} [options.onError] - Called when a background refresh fails; errors it throws are ignored.
+   * @param {(error: KickAuthorizationError) => unknown} [options.onReauthRequired] - Called once when the refresh
+   *   token was rejected and the user has to authorize again; awaited before the refresh rejects.
+   */
+  constructor({
+    authClient,
+    tokens = {},
+    refreshMarginMs = DEFAULT_REFRESH_MARGIN_MS,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    maxRetryDelayMs = DEFAULT_MAX_RETRY_DELAY_MS,
+    autoRefresh = true,
+    store,
+    storeKey,
+    onRefresh,
+    onError,
+    onReauthRequired,
+  }) {
+    if (!authClient || typeof authClient.refreshAccessToken !== 'function') {
+      throw new KickInputError('authClient is required for KickTokenManager');
+    }
+    if (store && (storeKey === undefined || storeKey === null)) {
+      throw new KickInputError('storeKey is required when a token store is provided');
+    }
+
+    this.authClient = authClient;
+    this.refreshMarginMs = refreshMarginMs;
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.autoRefresh = autoRefresh;
+    this.store = store ?? null;
+    this.storeKey = storeKey;
+    this.onRefresh = onRefresh;
+    this.onError = onError;
+    this.onReauthRequired = onReauthRequired;
+    this.#tokens = normalizeTokens(tokens);
+    this.#scheduleRefresh();
+  }
+
+  /**
+   * Create a manager from the record saved under `storeKey`.
+   * @param {ConstructorParameters<typeof KickTokenManager>[0] & {
+   *   store: import('./token-store.js').KickTokenStore,
+   *   storeKey: string | number,
+   * }} options
+   * @returns {Promise<KickTokenManager>}
+   */
+  static async fromStore(options) {
+    const record = await options.store?.get(options.storeKey);
+    return new KickTokenManager({ ...options, tokens: { ...options.tokens, ...record } });
+  }
+
+  /**
+   * Snapshot of the current tokens.
+   * @returns {KickTokenSet}
+   */
+  get tokens() {
+    return { ...this.#tokens };
+  }
+
+  get accessToken() {
+    return this.#tokens.accessToken;
+  }
+
+  get refreshToken() {
+    return this.#tokens.refreshToken;
+  }
+
+  get expiresAt() {
+    return this.#tokens.expiresAt;
+  }
+
+  /**
+   * `active`, or `needs_reauth` once the refresh token was rejected.
+   * @returns {'active' | 'needs_reauth'}
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * Whether the access token is missing or within `refreshMarginMs` of expiring.
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  needsRefresh(now = Date.now()) {
+    if (!this.#tokens.accessToken) return true;
+    if (this.#tokens.expiresAt === null) return false;
+    return now >= this.#tokens.expiresAt - this.refreshMarginMs;
+  }
+
+  /**
+   * Replace the tracked tokens, e.g. after an authorization code exchange.
+   * @param {Partial<KickTokenSet> | object} tokens - camelCase tokens or an OAuth token response.
+   * @returns {KickTokenSet}
+   */
+  setTokens(tokens) {
+    const next = normalizeTokens(tokens, this.#tokens);
+    if (next.refreshToken !== this.#tokens.refreshToken) {
+      this.#state = 'active';
+      this.#reauthError = null;
+      this.#failures = 0;
+    }
+    this.#tokens = next;
+    this.#scheduleRefresh();
+    return this.tokens;
+  }
+
+  /**
+   * Return a usable access token, refreshing first when it is missing or about to expire.
+   * @returns {Promise<string>}
+   */
+  async getAccessToken() {
+    if (this.needsRefresh() && this.#tokens.refreshToken) {
+      return this.refresh();
+    }
+    if (!this.#tokens.accessToken) {
+      throw new KickInputError('KickTokenManager has neither an access token nor a refresh token');
+    }
+    return this.#tokens.accessToken;
+  }
+
+  /**
+   * Refresh the access token. Concurrent calls share one request to the OAuth server.
+   * @param {object} [options]
+   * @param {string | null} [options.staleAccessToken] - Token that was rejected; if it has already
+   *   been replaced, the current token is returned without refreshing again.
+   * @returns {Promise<string>}
+   */
+  refresh({ staleAccessToken } = {}) {
+    if (this.#refreshing) {
+      return this.#refreshing;
+    }
+    if (staleAccessToken && this.#tokens.accessToken && staleAccessToken !== this.#tokens.accessToken) {
+      return Promise.resolve(this.#tokens.accessToken);
+    }
+
+    this.#refreshing = this.#performRefresh().finally(() => {
+      this.#refreshing = null;
+    });
+    return this.#refreshing;
+  }
+
+  /**
+   * Write the current tokens to `store`, keeping any other fields of the stored record.
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    if (!this.store) return;
+
+    const existing = await this.store.get(this.storeKey);
+    await this.store.set(this.storeKey, { ...existing, ...this.#tokens });
+  }
+
+  /**
+   * Start refreshing in the background ahead of expiry.
+   * @returns {this}
+   */
+  start() {
+    this.autoRefresh = true;
+    this.#scheduleRefresh();
+    return this;
+  }
+
+  /**
+   * Cancel the background refresh timer.
+   */
+  stop() {
+    this.autoRefresh = false;
+    this.#clearTimer();
+  }
+
+  async #performRefresh() {
+    if (this.#reauthError) throw this.#reauthError;
+
+    const { refreshToken } = this.#tokens;
+    if (!refreshToken) {
+      throw new KickInputError('A refresh token is required to refresh the access token');
+    }
+
+    let response;
+    try {
+      response = await this.authClient.refreshAccessToken({ refreshToken });
+    } catch (error) {
+      if (!isTerminalRefreshError(error)) throw error;
+      throw await this.#requireReauth(error);
+    }
+    if (!response?.access_token) {
+      throw new KickInputError('Kick did not return an access token during refresh');
+    }
+
+    const next = normalizeTokens(response, this.#tokens);
+    this.#tokens = next;
+    this.#failures = 0;
+    this.#scheduleRefresh();
+    // Kick rotates refresh tokens, so the new one must be stored before it is relied on.
+    await this.persist();
+    await this.onRefresh?.(this.tokens);
+    return next.accessToken;
+  }
+
+  #scheduleRefresh(delayMs) {
+    this.#clearTimer();
+    if (!this.autoRefresh || !this.#tokens.refreshToken || this.#state !== 'active') return;
+
+    const dueIn = delayMs ?? (this.#tokens.expiresAt === null
+      ? null
+      : this.#tokens.expiresAt - this.refreshMarginMs - Date.now());
+    if (dueIn === null) return;
+
+    if (dueIn > MAX_TIMER_DELAY_MS) {
+      // Wait in steps the timer can represent, then schedule the remainder.
+      const dueAt = Date.now() + dueIn;
+      this.#timer = setTimeout(() => {
+        this.#timer = null;
+        this.#scheduleRefresh(dueAt - Date.now());
+      }, MAX_TIMER_DELAY_MS);
+      this.#timer.unref?.();
+      return;
+    }
+
+    this.#timer = setTimeout(() => {
+      this.#timer = null;
+      this.refresh().catch((error) => {
+        if (this.#state === 'active') {
+          this.#failures += 1;
+          this.#scheduleRefresh(Math.min(this.maxRetryDelayMs, this.retryDelayMs * 2 ** (this.#failures - 1)));
+        }
+        try {
+          this.onError?.(error);
+        } catch {
+          // A throwing onError must not turn into an unhandled rejection of the background refresh.
+        }
+      });
+    }, Math.max(0, dueIn));
+    this.#timer.unref?.();
+  }
+
+  async #requireReauth(cause) {
+    this.#state = 'needs_reauth';
+    this.#reauthError = new KickAuthorizationError(
+      'The refresh token was rejected; the user has to authorize the application again',
+      { reason: 'needs_reauth', cause },
+    );
+    this.#clearTimer();
+    await this.onReauthRequired?.(this.#reauthError);
+    return this.#reauthError;
+  }
+
+  #clearTimer() {
+    if (this.#timer) {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+    }
+  }
+}
+
+/**
+ * Accept camelCase tokens or a raw OAuth token response and fill gaps from `previous`.
+ * @param {object} input
+ * @param {KickTokenSet} [previous]
+ * @returns {KickTokenSet}
+ */
+export function normalizeTokens(input = {}, previous = {}) {
+  const expiresIn = input.expires_in ?? input.expiresIn;
+  let expiresAt = input.expiresAt ?? input.expires_at ?? null;
+  if (expiresAt === null && expiresIn !== undefined && expiresIn !== null) {
+    expiresAt = Date.now() + Number(expiresIn) * 1000;
+  }
+  if (typeof expiresAt === 'string') {
+    expiresAt = Date.parse(expiresAt);
+  }
+
+  return {
+    accessToken: input.access_token ?? input.accessToken ?? previous.accessToken ?? null,
+    refreshToken: input.refresh_token ?? input.refreshToken ?? previous.refreshToken ?? null,
+    expiresAt: Number.isFinite(expiresAt) ? expiresAt : null,
+    scope: input.scope ?? previous.scope ?? null,
+    tokenType: input.token_type ?? input.tokenType ?? previous.tokenType ?? null,
+  };
+}
@@ -0,0 +1,313 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { KickInputError } from './errors.js';
+
+/**
+ * Persisted tokens for one broadcaster. Besides the token fields, records may carry
+ * any JSON-serializable metadata such as a channel slug or subscription id.
+ * @typedef {Partial<import('./token-manager.js').KickTokenSet> & Record<string, unknown>} KickTokenRecord
+ */
+
+/**
+ * Storage contract shared by every token store. Keys are broadcaster ids; numbers are
+ * converted to strings so `123` and `'123'` address the same record.
+ * @typedef {object} KickTokenStore
+ * @property {(key: string | number) => Promise<KickTokenRecord | null>} get
+ * @property {(key: string | number, record: KickTokenRecord) => Promise<void>} set
+ * @property {(key: string | number) => Promise<boolean>} delete - Resolves `true` when a record was removed.
+ * @property {() => Promise<string[]>} list - Keys of every stored record.
+ */
+
+/**
+ * Token store kept in process memory. Records are copied on the way in and out.
+ * @implements {KickTokenStore}
+ */
+export class MemoryTokenStore {
+  #records = new Map();
+
+  /**
+   * @param {Record<string, KickTokenRecord>} [initial]
+   */
+  constructor(initial = {}) {
+    for (const [key, record] of Object.entries(initial)) {
+      this.#records.set(toKey(key), structuredClone(record));
+    }
+  }
+
+  async get(key) {
+    const record = this.#records.get(toKey(key));
+    return record ? structuredClone(record) : null;
+  }
+
+  async set(key, record) {
+    this.#records.set(toKey(key), structuredClone(assertRecord(record)));
+  }
+
+  async delete(key) {
+    return this.#records.delete(toKey(key));
+  }
+
+  async list() {
+    return [...this.#records.keys()];
+  }
+}
+
+/**
+ * Token store backed by a JSON file. Every write goes to a temporary file that is renamed
+ * over the target, so a crash never leaves a half-written store. Writes within one process
+ * are serialized; do not point several processes at the same file.
+ * @implements {KickTokenStore}
+ */
+export class FileTokenStore {
+  #records = null;
+
+  #queue = Promise.resolve();
+
+  /**
+   * @param {object} options
+   * @param {string} options.path - Location of the store file; parent directories are created on demand.
+   * @param {number} [options.mode] - File permissions for newly written files.
+   */
+  constructor({ path: filePath, mode = 0o600 }) {
+    if (!filePath) throw new KickInputError('path is required for FileTokenStore');
+
+    this.path = path.resolve(filePath);
+    this.mode = mode;
+  }
+
+  async get(key) {
+    const records = await this.#load();
+    const record = records.get(toKey(key));
+    return record ? structuredClone(record) : null;
+  }
+
+  async set(key, record) {
+    assertRecord(record);
+    await this.#mutate((records) => {
+      records.set(toKey(key), structuredClone(record));
+      return true;
+    });
+  }
+
+  async delete(key) {
+    return this.#mutate((records) => records.delete(toKey(key)));
+  }
+
+  async list() {
+    const records = await this.#load();
+    return [...records.keys()];
+  }
+
+  /**
+   * Turn the store contents into file contents. Subclasses override this pair to change the format.
+   * @param {Record<string, KickTokenRecord>} tokens
+   * @returns {string | Buffer}
+   */
+  serialize(tokens) {
+    return `${JSON.stringify({ version: 1, tokens }, null, 2)}\n`;
+  }
+
+  /**
+   * @param {Buffer} contents
+   * @returns {Record<string, KickTokenRecord>}
+   */
+  deserialize(contents) {
+    const parsed = JSON.parse(contents.toString('utf8'));
+    return parsed?.tokens ?? {};
+  }
+
+  async #load() {
+    if (this.#records) return this.#records;
+
+    let contents;
+    try {
+      contents = await fs.readFile(this.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const records = new Map(Object.entries(contents ? this.deserialize(contents) : {}));
+    this.#records ??= records;
+    return this.#records;
+  }
+
+  #mutate(change) {
+    const run = this.#queue.then(async () => {
+      const records = await this.#load();
+      const next = new Map(records);
+      const result = change(next);
+      if (result) {
+        await this.#write(next);
+        this.#records = next;
+      }
+      return result;
+    });
+    // Keep the queue alive after a failed write so later operations still run.
+    this.#queue = run.catch(() => {});
+    return run;
+  }
+
+  async #write(records) {
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    const tempPath = `${this.path}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    try {
+      const handle = await fs.open(tempPath, 'w', this.mode);
+      try {
+        await handle.writeFile(this.serialize(Object.fromEntries(records)));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempPath, this.path);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+}
+
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+export const DEFAULT_TOKEN_SECRET_ENV = 'KICK_TOKEN_STORE_SECRET';
+
+/**
+ * `FileTokenStore` whose contents are encrypted with AES-256-GCM. The key is derived with
+ * scrypt from a secret (by default the `KICK_TOKEN_STORE_SECRET` environment variable) and
+ * a random salt stored next to the ciphertext; every write uses a fresh IV.
+ */
+export class EncryptedFileTokenStore extends FileTokenStore {
+  #secret;
+
+  #salt = null;
+
+  #key = null;
+
+  /**
+   * @param {object} options
+   * @param {string} options.path
+   * @param {string} [options.secret] - Encryption secret; falls back to `process.env[secretEnv]`.
+   * @param {string} [options.secretEnv] - Environment variable holding the secret.
+   * @param {number} [options.mode]
+   */
+  constructor({
+    path: filePath,
+    secret,
+    secretEnv = DEFAULT_TOKEN_SECRET_ENV,
+    mode,
+  }) {
+    super({ path: filePath, mode });
+
+    const resolvedSecret = secret ?? process.env[secretEnv];
+    if (!resolvedSecret) {
+      throw new KickInputError(`An encryption secret is required; pass secret or set ${secretEnv}`);
+    }
+    this.#secret = resolvedSecret;
+  }
+
+  serialize(tokens) {
+    if (!this.#salt) {
+      this.#useSalt(crypto.randomBytes(16));
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, this.#key, iv);
+    const ciphertext = Buffer.concat([cipher.update(super.serialize(tokens), 'utf8'), cipher.final()]);
+
+    return `${JSON.stringify({
+      version: 1,
+      algorithm: ENCRYPTION_ALGORITHM,
+      salt: this.#salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: ciphertext.toString('base64'),
+    }, null, 2)}\n`;
+  }
+
+  deserialize(contents) {
+    const envelope = JSON.parse(contents.toString('utf8'));
+    if (envelope?.algorithm !== ENCRYPTION_ALGORITHM) {
+      throw new KickInputError(`${this.path} is not an encrypted token store`);
+    }
+
+    this.#useSalt(Buffer.from(envelope.salt, 'base64'));
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, this.#key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    } catch (error) {
+      throw new KickInputError(`Unable to decrypt ${this.path}; the secret is wrong or the file was modified`, {
+        cause: error,
+      });
+    }
+
+    return super.deserialize(plaintext);
+  }
+
+  #useSalt(salt) {
+    if (this.#salt?.equals(salt)) return;
+    this.#salt = salt;
+    this.#key = crypto.scryptSync(this.#secret, salt, 32);
+  }
+}
+
+/**
+ * Token store on top of any Redis client that exposes hash commands, in either the
+ * camelCase (`hGet`, node-redis v4+) or lowercase (`hget`, ioredis) flavour.
+ * All records live as JSON strings in one hash.
+ * @implements {KickTokenStore}
+ */
+export class RedisTokenStore {
+  /**
+   * @param {object} options
+   * @param {object} options.client - Connected Redis client.
+   * @param {string} [options.key] - Hash that holds the records.
+   */
+  constructor({ client, key = 'kapi-kit:tokens' }) {
+    if (!client) throw new KickInputError('client is required for RedisTokenStore');
+
+    this.client = client;
+    this.key = key;
+  }
+
+  async get(key) {
+    const raw = await this.#call('hGet', toKey(key));
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  }
+
+  async set(key, record) {
+    await this.#call('hSet', toKey(key), JSON.stringify(assertRecord(record)));
+  }
+
+  async delete(key) {
+    return Number(await this.#call('hDel', toKey(key))) > 0;
+  }
+
+  async list() {
+    return (await this.#call('hKeys')) ?? [];
+  }
+
+  #call(command, ...args) {
+    const method = this.client[command] ?? this.client[command.toLowerCase()];
+    if (typeof method !== 'function') {
+      throw new KickInputError(`Redis client does not implement ${command}`);
+    }
+    return method.call(this.client, this.key, ...args);
+  }
+}
+
+function toKey(key) {
+  if (key === undefined || key === null || key === '') {
+    throw new KickInputError('Token store key is required');
+  }
+  return String(key);
+}
+
+function assertRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new KickInputError('Token store records must be plain objects');
+  }
+  return record;
+}
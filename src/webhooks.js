@@ -0,0 +1,435 @@
+import crypto from 'node:crypto';
+import { KickApiClient } from './client.js';
+import { KickInputError, KickWebhookError } from './errors.js';
+
+/**
+ * Header names Kick attaches to every webhook delivery.
+ */
+export const KICK_WEBHOOK_HEADERS = Object.freeze({
+  messageId: 'kick-event-message-id',
+  subscriptionId: 'kick-event-subscription-id',
+  signature: 'kick-event-signature',
+  timestamp: 'kick-event-message-timestamp',
+  type: 'kick-event-type',
+  version: 'kick-event-version',
+  appSecret: 'kick-app-secret',
+});
+
+const DEFAULT_BODY_LIMIT = 1024 * 1024;
+const DEFAULT_TOLERANCE_MS = 5 * 60 * 1000;
+const DEFAULT_SEEN_MESSAGE_LIMIT = 10_000;
+
+/**
+ * Remembers recently handled `kick-event-message-id` values so retried deliveries can be dropped.
+ *
+ * Any object with the same `add` signature can be passed to `KickWebhookReceiver` instead,
+ * for example one backed by Redis `SET NX PX` when several processes share a webhook URL.
+ */
+export class MemorySeenMessageStore {
+  #entries = new Map();
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries] - Least recently seen ids are evicted past this size.
+   */
+  constructor({ maxEntries = DEFAULT_SEEN_MESSAGE_LIMIT } = {}) {
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Record a message id.
+   * @param {string} messageId
+   * @param {object} [options]
+   * @param {number} [options.ttlMs] - How long the id should be remembered.
+   * @returns {Promise<boolean>} `true` when the id had not been seen yet.
+   */
+  async add(messageId, { ttlMs } = {}) {
+    const now = Date.now();
+    const expiresAt = this.#entries.get(messageId);
+
+    if (expiresAt !== undefined && expiresAt > now) {
+      // Refresh recency so hot ids are evicted last.
+      this.#entries.delete(messageId);
+      this.#entries.set(messageId, expiresAt);
+      return false;
+    }
+
+    this.#entries.delete(messageId);
+    this.#entries.set(messageId, ttlMs ? now + ttlMs : Number.POSITIVE_INFINITY);
+
+    while (this.#entries.size > this.maxEntries) {
+      const oldest = this.#entries.keys().next().value;
+      this.#entries.delete(oldest);
+    }
+
+    return true;
+  }
+
+  /**
+   * Forget a message id, e.g. when handling failed and Kick should be allowed to retry.
+   * @param {string} messageId
+   * @returns {Promise<void>}
+   */
+  async delete(messageId) {
+    this.#entries.delete(messageId);
+  }
+
+  get size() {
+    return this.#entries.size;
+  }
+}
+
+/**
+ * @typedef {object} KickWebhookEvent
+ * @property {string} messageId - Unique delivery id (`kick-event-message-id`).
+ * @property {string | null} subscriptionId - Subscription that produced the event.
+ * @property {string} type - Event type, e.g. `chat.message.sent`.
+ * @property {number | null} version - Event payload version.
+ * @property {string} timestamp - Raw `kick-event-message-timestamp` header value.
+ * @property {any} payload - Parsed JSON body.
+ */
+
+/**
+ * Verifies Kick webhook deliveries and turns them into parsed events.
+ */
+export class KickWebhookReceiver {
+  #publicKey;
+  #publicKeyPromise = null;
+
+  /**
+   * @param {object} [options]
+   * @param {KickApiClient} [options.client] - Client used to fetch the Kick public key.
+   * @param {string} [options.publicKey] - PEM encoded key; skips the `/public-key` lookup when provided.
+   * @param {string} [options.appSecret] - Shared secret expected in the `Kick-App-Secret` header.
+   * @param {number} [options.bodyLimit] - Maximum accepted body size in bytes for `receive`.
+   * @param {number | false} [options.toleranceMs] - Allowed clock skew for `kick-event-message-timestamp`; `false` disables the check.
+   * @param {{ add(messageId: string, options?: { ttlMs?: number }): Promise<boolean> | boolean } | false} [options.seenStore]
+   *   Store used to drop duplicate message ids; `false` disables deduplication.
+   */
+  constructor({
+    client,
+    publicKey,
+    appSecret,
+    bodyLimit = DEFAULT_BODY_LIMIT,
+    toleranceMs = DEFAULT_TOLERANCE_MS,
+    seenStore,
+  } = {}) {
+    if (seenStore && typeof seenStore.add !== 'function') {
+      throw new KickInputError('seenStore must implement add(messageId)');
+    }
+
+    this.client = client ?? new KickApiClient();
+    this.appSecret = appSecret || null;
+    this.bodyLimit = bodyLimit;
+    this.toleranceMs = toleranceMs === false ? null : toleranceMs;
+    this.seenStore = seenStore === false ? null : seenStore ?? new MemorySeenMessageStore();
+    this.#publicKey = publicKey ?? null;
+  }
+
+  /**
+   * Resolve the PEM public key, fetching it from Kick on first use.
+   * @param {object} [options]
+   * @param {boolean} [options.refresh] - Ignore the cached key and fetch it again.
+   * @returns {Promise<string>}
+   */
+  async getPublicKey({ refresh = false } = {}) {
+    if (this.#publicKey && !refresh) {
+      return this.#publicKey;
+    }
+
+    if (!this.#publicKeyPromise) {
+      this.#publicKeyPromise = this.client
+        .getPublicKey()
+        .then((response) => {
+          const publicKey = response?.public_key;
+          if (typeof publicKey !== 'string' || publicKey.trim() === '') {
+            throw new KickWebhookError('Kick did not return a public key for webhook verification', {
+              reason: 'public_key_unavailable',
+              status: 503,
+            });
+          }
+          this.#publicKey = publicKey;
+          return publicKey;
+        })
+        .finally(() => {
+          this.#publicKeyPromise = null;
+        });
+    }
+
+    return this.#publicKeyPromise;
+  }
+
+  /**
+   * Verify a delivery and return the parsed event.
+   * @param {object} options
+   * @param {Record<string, string | string[] | undefined> | Headers} options.headers
+   * @param {Buffer | Uint8Array | string} options.body - Raw, unparsed request body.
+   * @returns {Promise<KickWebhookEvent>}
+   */
+  async verify({ headers, body }) {
+    const messageId = readHeader(headers, KICK_WEBHOOK_HEADERS.messageId);
+    const timestamp = readHeader(headers, KICK_WEBHOOK_HEADERS.timestamp);
+    const signature = readHeader(headers, KICK_WEBHOOK_HEADERS.signature);
+    const type = readHeader(headers, KICK_WEBHOOK_HEADERS.type);
+
+    if (!messageId || !timestamp || !signature || !type) {
+      throw new KickWebhookError('Webhook delivery is missing Kick signature headers', {
+        reason: 'missing_headers',
+        status: 400,
+      });
+    }
+
+    if (this.appSecret) {
+      const providedSecret = readHeader(headers, KICK_WEBHOOK_HEADERS.appSecret);
+      if (!providedSecret || !safeEqual(providedSecret, this.appSecret)) {
+        throw new KickWebhookError('Webhook delivery has an invalid Kick-App-Secret header', {
+          reason: 'invalid_secret',
+          status: 401,
+        });
+      }
+    }
+
+    if (this.toleranceMs !== null) {
+      const sentAt = parseTimestamp(timestamp);
+      if (sentAt === null) {
+        throw new KickWebhookError('Webhook delivery has an unreadable timestamp', {
+          reason: 'invalid_timestamp',
+          status: 400,
+        });
+      }
+      if (Math.abs(Date.now() - sentAt) > this.toleranceMs) {
+        throw new KickWebhookError('Webhook delivery timestamp is outside the allowed window', {
+          reason: 'stale_timestamp',
+          status: 400,
+        });
+      }
+    }
+
+    const rawBody = toBuffer(body);
+    const publicKey = await this.getPublicKey();
+
+    if (!verifySignature({ publicKey, messageId, timestamp, body: rawBody, signature })) {
+      throw new KickWebhookError('Webhook signature verification failed', {
+        reason: 'invalid_signature',
+        status: 401,
+      });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw new KickWebhookError('Webhook body is not valid JSON', {
+        reason: 'invalid_payload',
+        status: 400,
+      });
+    }
+
+    if (this.seenStore) {
+      // Remember ids for twice the skew window: older retries are rejected by the timestamp check.
+      const ttlMs = this.toleranceMs === null ? undefined : this.toleranceMs * 2;
+      const isNew = await this.seenStore.add(messageId, { ttlMs });
+      if (!isNew) {
+        // Acknowledge duplicates with 200 so Kick stops retrying them.
+        throw new KickWebhookError('Webhook delivery was already received', {
+          reason: 'duplicate',
+          status: 200,
+        });
+      }
+    }
+
+    const version = Number(readHeader(headers, KICK_WEBHOOK_HEADERS.version));
+
+    return {
+      messageId,
+      subscriptionId: readHeader(headers, KICK_WEBHOOK_HEADERS.subscriptionId),
+      type,
+      version: Number.isFinite(version) ? version : null,
+      timestamp,
+      payload,
+    };
+  }
+
+  /**
+   * Allow a message id to be delivered again, typically after its handler failed.
+   * @param {string} messageId
+   * @returns {Promise<void>}
+   */
+  async forget(messageId) {
+    if (typeof this.seenStore?.delete === 'function') {
+      await this.seenStore.delete(messageId);
+    }
+  }
+
+  /**
+   * Read and verify a delivery straight from a Node.js `IncomingMessage`.
+   * @param {import('node:http').IncomingMessage} req
+   * @returns {Promise<KickWebhookEvent>}
+   */
+  async receive(req) {
+    const body = await readRequestBody(req, { limit: this.bodyLimit });
+    return this.verify({ headers: req.headers, body });
+  }
+
+  /**
+   * Build a Node.js request listener that verifies deliveries and passes them on.
+   *
+   * Rejected deliveries are answered with the `KickWebhookError` status, handler failures
+   * with 500 after forgetting the message id so Kick's retry is accepted.
+   * @param {((event: KickWebhookEvent) => unknown) | { dispatch(event: KickWebhookEvent): unknown }} handler
+   *   Function or `KickEventRouter` receiving verified events.
+   * @param {object} [options]
+   * @param {(error: Error, event: KickWebhookEvent | null) => void} [options.onError]
+   * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => Promise<void>}
+   */
+  createRequestHandler(handler, { onError } = {}) {
+    const handle = typeof handler === 'function' ? handler : handler?.dispatch?.bind(handler);
+    if (typeof handle !== 'function') {
+      throw new KickInputError('handler must be a function or an object with dispatch(event)');
+    }
+
+    return async (req, res) => {
+      let event = null;
+      try {
+        event = await this.receive(req);
+        await handle(event);
+        res.writeHead(200).end('ok');
+      } catch (error) {
+        if (error instanceof KickWebhookError) {
+          if (error.reason !== 'duplicate') onError?.(error, null);
+          res.writeHead(error.status).end(error.reason ?? 'rejected');
+          return;
+        }
+
+        onError?.(error, event);
+        if (event) await this.forget(event.messageId);
+        res.writeHead(500).end('error');
+      }
+    };
+  }
+}
+
+/**
+ * Check a Kick webhook signature over `messageId.timestamp.body`.
+ * @param {object} options
+ * @param {string} options.publicKey - PEM encoded public key.
+ * @param {string} options.messageId
+ * @param {string} options.timestamp
+ * @param {Buffer | Uint8Array | string} options.body
+ * @param {string} options.signature - Base64 encoded `kick-event-signature` header.
+ * @returns {boolean}
+ */
+export function verifySignature({
+  publicKey,
+  messageId,
+  timestamp,
+  body,
+  signature,
+}) {
+  const verifier = crypto.createVerify('RSA-SHA256');
+  verifier.update(`${messageId}.${timestamp}.`);
+  verifier.update(toBuffer(body));
+  verifier.end();
+
+  try {
+    return verifier.verify(publicKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    // Malformed keys or signatures are treated as a failed verification.
+    return false;
+  }
+}
+
+/**
+ * Collect the raw body of an incoming request. A raw `req.body` buffered by middleware such
+ * as `express.raw()` is used as is. A parsed `req.body` or a stream that was already read
+ * rejects right away with reason `body_consumed`, instead of waiting for data that never comes.
+ * @param {import('node:http').IncomingMessage & { body?: unknown }} req
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum body size in bytes.
+ * @returns {Promise<Buffer>}
+ */
+export function readRequestBody(req, { limit = DEFAULT_BODY_LIMIT } = {}) {
+  if (typeof req.body === 'string' || req.body instanceof Uint8Array) {
+    const body = toBuffer(req.body);
+    return body.length > limit ? Promise.reject(bodyTooLarge()) : Promise.resolve(body);
+  }
+  if (req.body !== undefined || req.readableEnded || req.destroyed) {
+    // A server misconfiguration rather than a bad delivery; 500 lets Kick retry once it is fixed.
+    return Promise.reject(new KickWebhookError(
+      'The request body was already consumed; mount the receiver before body parsers or pass the raw body to verify()',
+      { reason: 'body_consumed', status: 500 },
+    ));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.destroy();
+        reject(bodyTooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function bodyTooLarge() {
+  return new KickWebhookError('Webhook body exceeds the configured size limit', {
+    reason: 'body_too_large',
+    status: 413,
+  });
+}
+
+function readHeader(headers, name) {
+  if (!headers) return null;
+
+  let value;
+  if (typeof headers.get === 'function') {
+    value = headers.get(name);
+  } else {
+    const key = Object.keys(headers).find((candidate) => candidate.toLowerCase() === name);
+    value = key === undefined ? undefined : headers[key];
+  }
+
+  if (Array.isArray(value)) {
+    return value[0] ?? null;
+  }
+
+  return value ?? null;
+}
+
+function parseTimestamp(value) {
+  const trimmed = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    const numeric = Number(trimmed);
+    // Treat small values as seconds since the epoch.
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+
+  const parsed = Date.parse(trimmed);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function toBuffer(body) {
+  if (Buffer.isBuffer(body)) return body;
+  if (body instanceof Uint8Array) return Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+  if (typeof body === 'string') return Buffer.from(body, 'utf8');
+
+  throw new KickWebhookError('Webhook body must be the raw request body', {
+    reason: 'invalid_payload',
+    status: 400,
+  });
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
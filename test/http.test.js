@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { KickAuthenticationError, KickHttpClient, KickTokenManager } from '../src/index.js';
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+function createTokenManager(newTokens) {
+  const refreshes = [];
+  const tokenManager = new KickTokenManager({
+    authClient: {
+      async refreshAccessToken({ refreshToken }) {
+        refreshes.push(refreshToken);
+        return newTokens.shift();
+      },
+    },
+    tokens: { accessToken: 'old', refreshToken: 'refresh-1', expiresAt: Date.now() + 60 * 60 * 1000 },
+    autoRefresh: false,
+  });
+  return { tokenManager, refreshes };
+}
+
+test('a 401 refreshes the token once and replays the request with the new token', async () => {
+  const { tokenManager, refreshes } = createTokenManager([
+    { access_token: 'new', refresh_token: 'refresh-2', expires_in: 3600 },
+  ]);
+  const seen = [];
+  const client = new KickHttpClient({
+    tokenManager,
+    fetchImpl: async (url, init) => {
+      const authorization = new Headers(init.headers).get('authorization');
+      seen.push(authorization);
+      return authorization === 'Bearer new'
+        ? jsonResponse(200, { data: [{ user_id: 1 }] })
+        : jsonResponse(401, { message: 'Unauthorized' });
+    },
+  });
+
+  const users = await client.request({ method: 'GET', path: '/users' });
+
+  assert.deepEqual(users, { data: [{ user_id: 1 }] });
+  assert.deepEqual(seen, ['Bearer old', 'Bearer new']);
+  assert.deepEqual(refreshes, ['refresh-1']);
+  assert.equal(tokenManager.refreshToken, 'refresh-2');
+});
+
+test('a second 401 after the refresh is thrown instead of refreshing again', async () => {
+  const { tokenManager, refreshes } = createTokenManager([
+    { access_token: 'new', refresh_token: 'refresh-2', expires_in: 3600 },
+  ]);
+  const client = new KickHttpClient({
+    tokenManager,
+    fetchImpl: async () => jsonResponse(401, { message: 'Unauthorized' }),
+  });
+
+  await assert.rejects(client.request({ method: 'GET', path: '/users' }), KickAuthenticationError);
+  assert.equal(refreshes.length, 1);
+});
+
+test('the replay continues the attempt count of the first request', async () => {
+  const { tokenManager } = createTokenManager([
+    { access_token: 'new', refresh_token: 'refresh-2', expires_in: 3600 },
+  ]);
+  const attempts = [];
+  const client = new KickHttpClient({
+    tokenManager,
+    retry: { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 1 },
+    fetchImpl: async (url, init) => {
+      const authorization = new Headers(init.headers).get('authorization');
+      return authorization === 'Bearer new'
+        ? jsonResponse(503, { message: 'Unavailable' })
+        : jsonResponse(401, { message: 'Unauthorized' });
+    },
+    middleware: [(ctx, next) => {
+      attempts.push(ctx.attempt);
+      return next();
+    }],
+  });
+
+  await assert.rejects(client.request({ method: 'GET', path: '/users' }));
+  assert.deepEqual(attempts, [1, 2, 3]);
+});
+
+test('requests with their own Authorization header are not refreshed', async () => {
+  const { tokenManager, refreshes } = createTokenManager([]);
+  const client = new KickHttpClient({
+    tokenManager,
+    fetchImpl: async () => jsonResponse(401, { message: 'Unauthorized' }),
+  });
+
+  await assert.rejects(
+    client.request({ method: 'GET', path: '/users', headers: { Authorization: 'Bearer app' } }),
+    KickAuthenticationError,
+  );
+  assert.equal(refreshes.length, 0);
+});
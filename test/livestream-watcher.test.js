@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { test } from 'node:test';
+import { LivestreamWatcher } from '../src/index.js';
+
+function channel(broadcasterUserId, { isLive = false, title = 'Stream' } = {}) {
+  return {
+    broadcaster_user_id: broadcasterUserId,
+    slug: `channel${broadcasterUserId}`,
+    stream_title: title,
+    category: null,
+    stream: { is_live: isLive, viewer_count: 0, start_time: null },
+  };
+}
+
+function createClient({ latencyMs = 0, channels = () => [channel(1)] } = {}) {
+  const client = {
+    calls: 0,
+    async getChannels() {
+      client.calls += 1;
+      await sleep(latencyMs);
+      return channels();
+    },
+  };
+  return client;
+}
+
+test('stop() and start() while a poll is in flight leave a single polling loop', async (t) => {
+  const client = createClient({ latencyMs: 40 });
+  const watcher = new LivestreamWatcher({ client, broadcasterUserIds: [1], intervalMs: 20 });
+  t.after(() => watcher.stop());
+
+  watcher.start();
+  await sleep(10);
+  watcher.stop();
+  watcher.start();
+  await sleep(300);
+  watcher.stop();
+
+  const callsAtStop = client.calls;
+  await sleep(200);
+
+  assert.ok(callsAtStop > 1);
+  assert.equal(client.calls, callsAtStop);
+  assert.equal(watcher.running, false);
+});
+
+test('a poll that resolves after stop() does not schedule another one', async (t) => {
+  const client = createClient({ latencyMs: 40 });
+  const watcher = new LivestreamWatcher({ client, broadcasterUserIds: [1], intervalMs: 10 });
+  t.after(() => watcher.stop());
+
+  watcher.start();
+  await sleep(10);
+  watcher.stop();
+  await sleep(150);
+
+  assert.equal(client.calls, 1);
+});
+
+test('a throwing listener does not keep other listeners from the change', async (t) => {
+  let live = false;
+  const client = createClient({ channels: () => [channel(1, { isLive: live })] });
+  const watcher = new LivestreamWatcher({ client, broadcasterUserIds: [1], intervalMs: 60_000 });
+  t.after(() => watcher.stop());
+
+  const errors = [];
+  const received = [];
+  watcher.on('error', (error) => errors.push(error));
+  watcher.on('online', () => {
+    throw new Error('listener failed');
+  });
+  watcher.on('online', (current) => received.push(current.broadcasterUserId));
+
+  await watcher.poll();
+  live = true;
+  await watcher.poll();
+
+  assert.deepEqual(received, [1]);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].message, 'listener failed');
+});
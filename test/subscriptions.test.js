@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { KickApiClient, KickInputError, reconcileSubscriptions } from '../src/index.js';
+import { KickMockServer } from '../src/testing/index.js';
+
+function createStubClient({ existing, createResponse }) {
+  const deleted = [];
+  const client = {
+    async listEventSubscriptions() {
+      return existing;
+    },
+    async createEventSubscriptions() {
+      return createResponse;
+    },
+    async deleteEventSubscriptions({ ids }) {
+      deleted.push(...ids);
+    },
+  };
+  return { client, deleted };
+}
+
+function createMockClient(kick, { userId = null } = {}) {
+  const { access_token: accessToken } = kick.issueToken({ userId, scopes: ['events:subscribe'] });
+  return new KickApiClient({ accessToken, baseUrl: kick.apiBaseUrl, fetchImpl: kick.fetch });
+}
+
+test('a create response without subscription ids deletes nothing and reports the events as failed', async () => {
+  const { client, deleted } = createStubClient({
+    existing: [{ id: 'old', event: 'chat.message.sent', version: 2, broadcaster_user_id: 1 }],
+    createResponse: { message: 'OK' },
+  });
+
+  const report = await reconcileSubscriptions({ client, broadcasterUserId: 1, events: ['chat.message.sent'] });
+
+  assert.deepEqual(deleted, []);
+  assert.deepEqual(report.deleted, []);
+  assert.deepEqual(report.versionChanges, []);
+  assert.equal(report.failed.length, 1);
+  assert.equal(report.failed[0].name, 'chat.message.sent');
+  assert.equal(report.subscriptions['chat.message.sent'], 'old');
+});
+
+test('an event Kick refuses keeps its old subscription', async () => {
+  const { client, deleted } = createStubClient({
+    existing: [{ id: 'old', event: 'chat.message.sent', version: 2, broadcaster_user_id: 1 }],
+    createResponse: [{ name: 'chat.message.sent', version: 1, error: 'Unsupported version' }],
+  });
+
+  const report = await reconcileSubscriptions({ client, broadcasterUserId: 1, events: ['chat.message.sent'] });
+
+  assert.deepEqual(deleted, []);
+  assert.deepEqual(report.failed, [{ name: 'chat.message.sent', version: 1, error: 'Unsupported version' }]);
+  assert.equal(report.subscriptions['chat.message.sent'], 'old');
+});
+
+test('replacing a newer version reports a downgrade', async () => {
+  const { client, deleted } = createStubClient({
+    existing: [{ id: 'old', event: 'chat.message.sent', version: 2, broadcaster_user_id: 1 }],
+    createResponse: [{ name: 'chat.message.sent', version: 1, subscription_id: 'new' }],
+  });
+
+  const report = await reconcileSubscriptions({ client, broadcasterUserId: 1, events: ['chat.message.sent'] });
+
+  assert.deepEqual(deleted, ['old']);
+  assert.deepEqual(report.versionChanges, [{
+    name: 'chat.message.sent',
+    fromVersion: 2,
+    toVersion: 1,
+    previousId: 'old',
+    id: 'new',
+    reason: 'downgraded',
+  }]);
+  assert.equal(report.deleted[0].reason, 'downgraded');
+  assert.equal(report.subscriptions['chat.message.sent'], 'new');
+});
+
+test('prune requires broadcasterUserId', async () => {
+  const { client } = createStubClient({ existing: [], createResponse: [] });
+
+  await assert.rejects(
+    reconcileSubscriptions({ client, events: ['chat.message.sent'], prune: true }),
+    KickInputError,
+  );
+});
+
+test('subscriptions of other broadcasters are never touched', async () => {
+  const kick = new KickMockServer();
+  const streamer = kick.addUser({ name: 'streamer' });
+  const other = kick.addUser({ name: 'other' });
+  const client = createMockClient(kick);
+  await client.createEventSubscriptions({
+    broadcasterUserId: other.user_id,
+    events: [{ name: 'chat.message.sent', version: 1 }, { name: 'channel.followed', version: 1 }],
+  });
+  const otherIds = [...kick.subscriptions.keys()];
+
+  const report = await reconcileSubscriptions({
+    client,
+    broadcasterUserId: streamer.user_id,
+    events: ['chat.message.sent'],
+    prune: true,
+  });
+
+  assert.equal(report.created.length, 1);
+  assert.deepEqual(report.deleted, []);
+  for (const id of otherIds) assert.ok(kick.subscriptions.has(id));
+  assert.equal(kick.subscriptions.size, otherIds.length + 1);
+});
+
+test('reconciling twice leaves one subscription per event', async () => {
+  const kick = new KickMockServer();
+  const streamer = kick.addUser({ name: 'streamer' });
+  const client = createMockClient(kick, { userId: streamer.user_id });
+  const events = ['chat.message.sent', 'channel.followed'];
+
+  await reconcileSubscriptions({ client, broadcasterUserId: streamer.user_id, events });
+  const report = await reconcileSubscriptions({ client, broadcasterUserId: streamer.user_id, events });
+
+  assert.equal(report.kept.length, 2);
+  assert.deepEqual(report.created, []);
+  assert.equal(kick.subscriptions.size, 2);
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { test } from 'node:test';
+import { KickServerError, KickTokenManager } from '../src/index.js';
+
+test('concurrent refreshes share one request to the OAuth server', async () => {
+  let calls = 0;
+  const tokenManager = new KickTokenManager({
+    authClient: {
+      async refreshAccessToken() {
+        calls += 1;
+        await sleep(5);
+        return { access_token: `access-${calls}`, refresh_token: `refresh-${calls}`, expires_in: 3600 };
+      },
+    },
+    tokens: { accessToken: 'old', refreshToken: 'refresh-0' },
+    autoRefresh: false,
+  });
+
+  const tokens = await Promise.all([tokenManager.refresh(), tokenManager.refresh()]);
+
+  assert.deepEqual(tokens, ['access-1', 'access-1']);
+  assert.equal(calls, 1);
+});
+
+test('a throwing onError does not turn a failed background refresh into an unhandled rejection', async (t) => {
+  const unhandled = [];
+  const onUnhandled = (error) => unhandled.push(error);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+
+  const errors = [];
+  const tokenManager = new KickTokenManager({
+    authClient: {
+      async refreshAccessToken() {
+        throw new KickServerError('Kick is down', { status: 503 });
+      },
+    },
+    tokens: { accessToken: 'old', refreshToken: 'refresh', expiresAt: Date.now() },
+    refreshMarginMs: 0,
+    retryDelayMs: 60_000,
+    onError: (error) => {
+      errors.push(error);
+      throw new Error('listener failed');
+    },
+  });
+  t.after(() => tokenManager.stop());
+
+  await sleep(50);
+
+  assert.equal(errors.length, 1);
+  assert.ok(errors[0] instanceof KickServerError);
+  assert.deepEqual(unhandled, []);
+});
+
+test('a token that expires beyond the setTimeout limit is not refreshed right away', async (t) => {
+  let calls = 0;
+  const tokenManager = new KickTokenManager({
+    authClient: {
+      async refreshAccessToken() {
+        calls += 1;
+        return { access_token: 'new', refresh_token: 'refresh-2', expires_in: 3600 };
+      },
+    },
+    tokens: { accessToken: 'old', refreshToken: 'refresh', expiresAt: Date.now() + 60 * 24 * 60 * 60 * 1000 },
+  });
+  t.after(() => tokenManager.stop());
+
+  await sleep(50);
+
+  assert.equal(calls, 0);
+  assert.equal(tokenManager.accessToken, 'old');
+});
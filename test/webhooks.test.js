@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
+import { test } from 'node:test';
+import {
+  KICK_WEBHOOK_HEADERS,
+  KickWebhookError,
+  KickWebhookReceiver,
+  readRequestBody,
+} from '../src/index.js';
+import { KickWebhookSimulator } from '../src/testing/index.js';
+
+const simulator = new KickWebhookSimulator({ appSecret: 'secret' });
+
+function createReceiver(options) {
+  return new KickWebhookReceiver({ publicKey: simulator.publicKey, appSecret: 'secret', ...options });
+}
+
+test('verify accepts a signed delivery and returns the parsed event', async () => {
+  const delivery = simulator.build('chat.message.sent', { payload: { content: '!ping' } });
+
+  const event = await createReceiver().verify(delivery);
+
+  assert.equal(event.type, 'chat.message.sent');
+  assert.equal(event.version, 1);
+  assert.equal(event.payload.content, '!ping');
+});
+
+test('verify rejects a tampered body', async () => {
+  const delivery = simulator.build('chat.message.sent', { payload: { content: 'hello' } });
+  const body = delivery.body.replace('hello', 'hacked');
+
+  await assert.rejects(
+    createReceiver().verify({ headers: delivery.headers, body }),
+    (error) => error instanceof KickWebhookError && error.reason === 'invalid_signature' && error.status === 401,
+  );
+});
+
+test('verify rejects a signature made with another key', async () => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const forger = new KickWebhookSimulator({ privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) });
+  const delivery = simulator.build('channel.followed');
+  const headers = {
+    ...delivery.headers,
+    [KICK_WEBHOOK_HEADERS.signature]: forger.sign({
+      messageId: delivery.headers[KICK_WEBHOOK_HEADERS.messageId],
+      timestamp: delivery.headers[KICK_WEBHOOK_HEADERS.timestamp],
+      body: delivery.body,
+    }),
+  };
+
+  await assert.rejects(
+    createReceiver().verify({ headers, body: delivery.body }),
+    { reason: 'invalid_signature' },
+  );
+});
+
+test('verify rejects a wrong app secret', async () => {
+  const delivery = simulator.build('channel.followed', { appSecret: 'wrong' });
+
+  await assert.rejects(createReceiver().verify(delivery), { reason: 'invalid_secret', status: 401 });
+});
+
+test('verify acknowledges a redelivered message id as a duplicate', async () => {
+  const receiver = createReceiver();
+  const delivery = simulator.build('channel.followed');
+
+  await receiver.verify(delivery);
+  await assert.rejects(receiver.verify(delivery), { reason: 'duplicate', status: 200 });
+});
+
+test('verify records a message id only after the signature is checked', async () => {
+  const receiver = createReceiver();
+  const delivery = simulator.build('channel.followed');
+
+  await assert.rejects(receiver.verify({ ...delivery, body: `${delivery.body} ` }), { reason: 'invalid_signature' });
+  await receiver.verify(delivery);
+});
+
+test('verify rejects a timestamp outside the tolerance window', async () => {
+  const timestamp = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const delivery = simulator.build('channel.followed', { timestamp });
+
+  await assert.rejects(createReceiver().verify(delivery), { reason: 'stale_timestamp', status: 400 });
+});
+
+test('readRequestBody rejects a body a parser already consumed', async () => {
+  const req = Object.assign(Readable.from([]), { body: { parsed: true } });
+
+  await assert.rejects(readRequestBody(req), { reason: 'body_consumed', status: 500 });
+});
+
+test('the request handler answers a duplicate delivery with 200 without dispatching it again', async () => {
+  const receiver = createReceiver();
+  let dispatched = 0;
+  const handler = receiver.createRequestHandler({ dispatch: () => { dispatched += 1; } });
+  const messageId = 'message-1';
+
+  const first = await simulator.invoke(handler, 'channel.followed', { messageId });
+  const second = await simulator.invoke(handler, 'channel.followed', { messageId });
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(dispatched, 1);
+});